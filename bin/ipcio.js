@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line tool for inspecting and poking ipcIO domains.<br>
+ * Talks to servers only with the client protocol, as any other ipcIO client would.
+ * @module ipcIO/cli
+ */
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const ipcio = require("../ipcio");
+
+const PROBE_TIMEOUT = 1000;
+
+const UNIQUE_SOCKET_SUFFIX = /\.[0-9a-f]{32}$/;
+
+const USAGE = `Usage: ipcio <command> [arguments] [options]
+
+Commands:
+  list                                         List domains with sockets and tell which servers are alive.
+  discover  <domain>                           Print commands and clients exposed by domain server.
+  send      <domain> <command> [json]          Send command to server, wait for acknowledgement.
+  deliver   <domain> <command> [json]          Deliver command to server (or --to client), print feedback.
+  emit      <domain> <client> <command> [json] Emit command to client of given name.
+  broadcast <domain> <command> [json]          Broadcast command to all clients of domain.
+  tail      <domain>                           Subscribe to all topics and print received traffic.
+
+Options:
+  --name <name>       Client name, "ipcio-cli-<pid>" by default.
+  --to <client>       Recipient client of deliver command.
+  --port <port>       Connect with "tcp" transport to given port.
+  --host <host>       Host of "tcp" transport, "127.0.0.1" by default.
+  --socket-dir <dir>  Directory of domain socket files, "/tmp" by default.
+  --abstract          Connect to Linux abstract namespace sockets.
+  --timeout <ms>      Delivery timeout in ms.
+  --verbose           Log client diagnostics to console.
+  --help              Print this help.
+
+Data that is not valid JSON is sent as string.
+Secret of domain requiring authentication is read from IPCIO_SECRET environment variable.`;
+
+/**
+ * Splits command-line arguments to positional arguments and "--name value" options.
+ * @param {string[]} argv Command-line arguments without node and script paths.
+ * @returns {{args: string[], options: object}}
+ * @ignore
+ */
+function parseArgs(argv) {
+  let args = [];
+  let options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].indexOf("--") !== 0) {
+      args.push(argv[i]);
+
+      continue;
+    }
+
+    let option = argv[i].slice(2);
+
+    if (option === "verbose" || option === "help" || option === "abstract") {
+      options[option] = true;
+    }
+    else if (i + 1 < argv.length) {
+      options[option] = argv[++i];
+    }
+    else {
+      throw new Error(`Option --${option} requires a value.`);
+    }
+  }
+
+  return {args: args, options: options};
+}
+
+/**
+ * Parses message data passed in command line. Data that is not JSON is taken as string, missing data as null.
+ * @param {string|undefined} data Data argument.
+ * @returns {*}
+ * @ignore
+ */
+function parseData(data) {
+  if (data === undefined) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(data);
+  }
+  catch (e) {
+    return data;
+  }
+}
+
+/**
+ * Checks if server listens on socket of given path.
+ * @param {string} socket_path Path of domain socket.
+ * @returns {Promise} Fulfilled with true when server has accepted connection, false otherwise.
+ * @ignore
+ */
+function probeSocket(socket_path) {
+  return new Promise((resolve) => {
+    let socket = net.connect(socket_path);
+    let settle = (is_alive) => {
+      socket.destroy();
+      resolve(is_alive);
+    };
+
+    socket.setTimeout(PROBE_TIMEOUT, () => settle(false));
+    socket.on("connect", () => settle(true));
+    socket.on("error", () => settle(false));
+  });
+}
+
+/**
+ * Lists domains, that have socket under socket directory, with liveness of their servers.
+ * @param {object} options Command-line options.
+ * @returns {Promise}
+ * @ignore
+ */
+function listDomains(options) {
+  let socket_dir = options["socket-dir"] || path.dirname(ipcio.socket_prefix);
+  let prefix = `${path.basename(ipcio.socket_prefix)}.`;
+  let domains = fs.readdirSync(socket_dir).filter((file) => {
+    if (file.indexOf(prefix) !== 0 || UNIQUE_SOCKET_SUFFIX.test(file)) {
+      return false;
+    }
+
+    try {
+      return fs.statSync(path.join(socket_dir, file)).isSocket();
+    }
+    catch (e) {
+      return false; // Socket has been removed meanwhile.
+    }
+  });
+
+  return Promise.all(domains.map((file) => probeSocket(path.join(socket_dir, file))))
+    .then((liveness) => {
+      domains.forEach((file, index) => {
+        console.log(`${file.slice(prefix.length)}\t${liveness[index] ? "alive" : "stale"}`);
+      });
+    })
+  ;
+}
+
+/**
+ * Returns options of client connecting to domain, with "tcp" transport when port is given.
+ * @param {string} domain       Domain name.
+ * @param {object} options      Command-line options.
+ * @param {string} default_name Client name used when no name option is given.
+ * @returns {client_constructor_options}
+ * @ignore
+ */
+function getClientOptions(domain, options, default_name) {
+  let client_options = {
+    domain: domain,
+    name: options.name || default_name,
+    verbose: options.verbose === true,
+    multiplex: true,
+    socket_dir: options["socket-dir"],
+    abstract: options.abstract === true,
+    secret: process.env.IPCIO_SECRET,
+  };
+
+  if (options.port !== undefined) {
+    client_options.transport = "tcp";
+    client_options.host = options.host;
+    client_options.port = Number(options.port);
+  }
+
+  return client_options;
+}
+
+/**
+ * Connects client to domain, runs action with it and disconnects.
+ * @param {string} domain         Domain name.
+ * @param {object} options        Command-line options.
+ * @param {function} action       Function called with connected client, returning promise.
+ * @returns {Promise}
+ * @ignore
+ */
+function withClient(domain, options, action) {
+  let client = new ipcio.Client(Object.assign(getClientOptions(domain, options, `ipcio-cli-${process.pid}`), {
+    reconnect: false,
+  }));
+
+  return client.connect().then(() => action(client).then(
+    (result) => client.disconnect().then(() => result),
+    (error) => client.disconnect().then(() => Promise.reject(error))
+  ));
+}
+
+/**
+ * Prints value as formatted JSON.
+ * @param {*} value Value to be printed.
+ * @ignore
+ */
+function printJson(value) {
+  console.log(JSON.stringify(value === undefined ? null : value, null, 2));
+}
+
+/**
+ * Subscribes to all topics of domain and prints every received message until process is interrupted.
+ * @param {string} domain   Domain name.
+ * @param {object} options  Command-line options.
+ * @returns {Promise}       Fulfilled when client is disconnected on SIGINT or SIGTERM.
+ * @ignore
+ */
+function tailDomain(domain, options) {
+  let client = new ipcio.Client(getClientOptions(domain, options, `ipcio-tail-${process.pid}`));
+
+  client.on("message", (message) => {
+    let topic = message.topic === null ? "" : ` [${message.topic}]`;
+
+    console.log(`${new Date().toISOString()} ${message.command}${topic} ${JSON.stringify(message.data)}`);
+  });
+  client.on("connect", () => console.error(`Tailing domain "${domain}".`));
+  client.on("disconnect", () => console.error(`Connection with domain "${domain}" is lost.`));
+
+  return new Promise((resolve, reject) => {
+    let stop = () => client.disconnect().then(resolve, reject);
+
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    client.connect().then(() => client.subscribe("#")).catch(reject);
+  });
+}
+
+/**
+ * Runs command given in command line.
+ * @param {string[]} argv Command-line arguments without node and script paths.
+ * @returns {Promise}
+ * @ignore
+ */
+function run(argv) {
+  let parsed = parseArgs(argv);
+  let args = parsed.args;
+  let options = parsed.options;
+  let command = args.shift();
+  let arity = {discover: 1, send: 2, deliver: 2, emit: 3, broadcast: 2, tail: 1};
+
+  if (command === undefined || options.help) {
+    console.log(USAGE);
+
+    return Promise.resolve();
+  }
+
+  if (command !== "list" && (arity[command] === undefined || args.length < arity[command])) {
+    return Promise.reject(new Error(`Invalid command "${argv.join(" ")}".\n\n${USAGE}`));
+  }
+
+  let delivery_options = options.timeout === undefined ? {} : {timeout: Number(options.timeout)};
+
+  switch (command) {
+    case "list":
+      return listDomains(options);
+    case "discover":
+      return withClient(args[0], options, (client) => client.discover()).then(printJson);
+    case "send":
+      return withClient(args[0], options, (client) => client.send(args[1], parseData(args[2])));
+    case "deliver":
+      return withClient(args[0], options, (client) => client.deliver(
+        options.to || null, args[1], parseData(args[2]), delivery_options
+      )).then(printJson);
+    case "emit":
+      return withClient(args[0], options, (client) => client.emit(args[1], args[2], parseData(args[3])));
+    case "broadcast":
+      return withClient(args[0], options, (client) => client.broadcast(args[1], parseData(args[2])));
+    case "tail":
+      return tailDomain(args[0], options);
+  }
+}
+
+Promise.resolve(process.argv.slice(2)).then(run).catch((error) => {
+  console.error(error.code ? `${error.message} (${error.code})` : error.message);
+  process.exitCode = 1;
+});
@@ -9,6 +9,18 @@
  * @property {string|null} command  Command description.
  * @property {string|null} data     Data carried by message.
  * @property {string|null} delivery Delivery id
+ * @property {serialized_error|null} error Error that occurred while processing delivery on remote side.
+ * @property {string|null} msg_id   Id of message, acknowledged by its recipient.
+ * @property {string|null} channel  Id of client channel, that message belongs to on multiplexed connection,
+ *                                  null for handshaking/broadcast channel.
+ */
+
+/**
+ * Error thrown by command handler, serialized to be delivered back to requester.
+ * @typedef {object} serialized_error
+ * @property {string} name            Error name.
+ * @property {string} message         Error message.
+ * @property {string|number|null} code  Error code, if error had one.
  */
 
 /**
@@ -29,6 +41,7 @@
  * @property {string} client_name Friendly name of client/uuid if name not set.
  * @property {Socket} socket      Instance of net.Socket
  * @property {Server} server      Instance of net.Server
+ * @property {string|null} topic  Topic that message was published to, null when message was not published.
  */
 
 /**
@@ -40,27 +53,297 @@
  * Object containing options that determine behavior of IpcIO.Server
  * @typedef {object} server_constructor_options
  * @property {boolean}  verbose   When true, will feed console with current operations feedback.
+ * @property {logger}   logger    Logger, that diagnostics are written to, defaults to ConsoleLogger.
+ * @property {string}   log_level Minimal level of logged entries: "debug", "info", "warn", "error" or "silent".
+ *                                Defaults to "debug" when verbose, "info" when logger is passed, "silent" otherwise.
  * @property {string}   domain    Namespace used for connection with all clients handshaking with this server.
+ * @property {string}   transport "unix" domain sockets (default) or "tcp" sockets, that handshaking/broadcast server
+ *                                listens with on host and port, and client channels on ephemeral ports.
+ * @property {string}   host      Host of "tcp" transport, defaults to "127.0.0.1".
+ * @property {number}   port      Port of "tcp" transport, required by it.
+ * @property {string}   socket_dir  Directory of unix domain socket files, defaults to "/tmp".
+ * @property {string}   path      Path of domain socket file, overrides socket_dir and domain based file name.
+ * @property {boolean}  abstract  When true, Linux abstract namespace sockets are used, that leave no files behind.
+ *                                Requires Node.js 20 or later.
+ * @property {socket_permissions_options} permissions  Mode, owner and group applied to created socket files.
  * @property {string}   encoding  Message buffer encoding, defaults to "utf8".
+ * @property {number}   delivery_timeout  Default time in ms after which delivery promise is rejected,
+ *                                        defaults to 0, that means no timeout.
+ * @property {string}   name_conflict     Policy applied when client handshakes with name that is already taken:
+ *                                        "reject" newcomer (default), "evict" client holding the name,
+ *                                        or "suffix" newcomer name with first free number, e.g. "worker_2".
+ * @property {string}   group_strategy    Default strategy of picking group member: "round_robin" (default),
+ *                                        "least_pending" deliveries or "hash" of key.
+ * @property {number}   dedup_window      Time in ms for which ids of handled client messages are remembered,
+ *                                        so messages sent again by client are not handled twice, defaults to 60000.
+ * @property {mailbox_options|boolean} mailbox  Enables buffering of messages for clients, that have been connected
+ *                                              before, while they are offline. True enables it with default options.
+ * @property {number}   max_pending_bytes Maximum number of bytes waiting to be written to single client socket,
+ *                                        messages exceeding it are dropped, defaults to 0, that means no limit.
+ * @property {heartbeat_options|boolean} heartbeat  Enables pinging clients and disconnecting unresponsive ones.
+ *                                                  True enables it with default options.
+ * @property {number}   session_grace     Time in ms for which client, that has lost connection, keeps its name,
+ *                                        subscriptions, groups and pending deliveries, so it may resume its session,
+ *                                        defaults to 0, that means sessions are not resumable.
+ * @property {string|object} secret       Shared secret, or secrets keyed by client friendly names, that clients
+ *                                        have to prove they know with HMAC of challenge at handshake.
+ *                                        Client failing it is rejected with E_AUTH_FAILED error code.
+ *                                        Authenticated clients are always multiplexed.
+ */
+
+/**
+ * Histogram of command handler execution times.
+ * @typedef {object} handler_histogram
+ * @property {number} count   Number of executions.
+ * @property {number} sum     Total execution time in ms.
+ * @property {object} buckets Cumulative numbers of executions, that lasted no longer than key in ms, "+Inf" for all.
+ */
+
+/**
+ * Object containing counters and gauges of IpcServer.
+ * @typedef {object} server_stats
+ * @property {string} domain          Server domain.
+ * @property {number} uptime          Time in ms since server has started, 0 when it is not started.
+ * @property {object} messages_in     Numbers of received messages, keyed by command.
+ * @property {object} messages_out    Numbers of sent messages, keyed by command.
+ * @property {object} bytes_in        Numbers of received bytes, keyed by command.
+ * @property {object} bytes_out       Numbers of sent bytes, keyed by command.
+ * @property {object} handler_duration  Handler execution time histograms, keyed by command.
+ * @property {number} connected_clients   Number of connected clients.
+ * @property {number} suspended_clients   Number of clients with suspended sessions.
+ * @property {number} pending_deliveries  Number of deliveries requested by server, awaiting feedback.
+ * @property {number} routed_deliveries   Number of deliveries between clients, awaiting feedback.
+ * @property {number} mailbox_messages    Number of messages buffered in mailboxes.
+ * @property {object} clients   Objects with uuid, connected flag, uptime in ms and pending_bytes,
+ *                              keyed by client friendly names.
+ */
+
+/**
+ * Object containing counters and gauges of IpcClient.
+ * @typedef {object} client_stats
+ * @property {string} domain          Server domain.
+ * @property {string} client_name     Client friendly name.
+ * @property {boolean} connected      True when client is connected.
+ * @property {number} uptime          Time in ms since client has connected, 0 when it is not connected.
+ * @property {number} reconnects      Number of reconnect attempts made.
+ * @property {object} messages_in     Numbers of received messages, keyed by command.
+ * @property {object} messages_out    Numbers of sent messages, keyed by command.
+ * @property {object} bytes_in        Numbers of received bytes, keyed by command.
+ * @property {object} bytes_out       Numbers of sent bytes, keyed by command.
+ * @property {object} handler_duration  Handler execution time histograms, keyed by command.
+ * @property {number} queue_length        Number of messages queued for unique socket.
+ * @property {number} bcast_queue_length  Number of messages queued for broadcast socket.
+ * @property {number} blocked_length      Number of messages blocked by full queue.
+ * @property {number} unacked_length      Number of messages awaiting server acknowledgement.
+ * @property {number} pending_bytes       Size in bytes of queued and unacknowledged messages.
+ * @property {number} pending_deliveries  Number of deliveries awaiting feedback.
+ */
+
+/**
+ * Any object, that diagnostics can be written to, e.g. console or instance of popular logging library.<br>
+ * Each method is called with message and object of structured fields, like domain, uuid, client_name, command
+ * or delivery.
+ * @typedef {object} logger
+ * @property {function} debug Writes detailed trace of operations.
+ * @property {function} info  Writes lifecycle entries, e.g. client has connected.
+ * @property {function} warn  Writes recoverable problems, e.g. message has been dropped.
+ * @property {function} error Writes failures, e.g. socket error.
+ */
+
+/**
+ * Object containing permissions applied to socket files created by server, so only given users can connect.
+ * @typedef {object} socket_permissions_options
+ * @property {number|string} mode File mode, e.g. 0o660 or "660".
+ * @property {number} owner       Id of user owning socket files.
+ * @property {number} group       Id of group owning socket files.
+ */
+
+/**
+ * Object containing options of heartbeat, that detects peers, which are hung, but keep their sockets open.
+ * @typedef {object} heartbeat_options
+ * @property {number} interval    Time in ms between pings, defaults to 5000.
+ * @property {number} max_missed  Number of pings in a row, that peer may leave unanswered before it is considered dead,
+ *                                defaults to 3.
+ */
+
+/**
+ * Object containing options of server mailboxes, buffering messages for offline clients.
+ * @typedef {object} mailbox_options
+ * @property {number} ttl           Time in ms after which buffered message is dropped, defaults to 60000,
+ *                                  0 means never.
+ * @property {number} max_messages  Maximum number of messages buffered for single client, the oldest ones are dropped
+ *                                  when exceeded, defaults to 1000.
+ */
+
+/**
+ * Object containing options that determine behavior of single delivery.
+ * @typedef {object} delivery_options
+ * @property {number} timeout Time in ms after which delivery promise is rejected, 0 means no timeout.
+ *                            Defaults to delivery_timeout passed to constructor.
+ */
+
+/**
+ * Object containing options that determine how group member is picked, and behavior of delivery to it.
+ * @typedef {object} group_options
+ * @property {string} strategy  "round_robin" picks members in turns, "least_pending" picks member with fewest
+ *                              deliveries awaited by server, "hash" picks member by consistent hashing of key,
+ *                              defaults to "group_strategy" server option.
+ * @property {string} key       Key hashed with "hash" strategy, messages of the same key go to the same member
+ *                              for as long as it is member of group.
+ * @property {number} timeout   Time in ms after which delivery promise is rejected, 0 means no timeout.
+ */
+
+/**
+ * Object containing options that determine behavior of broadcast delivery.
+ * @typedef {object} broadcast_delivery_options
+ * @property {number} timeout       Time in ms after which clients that have not delivered feedback are considered
+ *                                  timed out, 0 means no timeout. Defaults to server delivery_timeout.
+ * @property {number} min_responses Number of successful feedbacks that is enough to fulfill promise before other
+ *                                  clients respond. When fewer clients succeed, promise is rejected.
+ *                                  Defaults to 0, that means waiting for all clients.
+ */
+
+/**
+ * Feedbacks collected from clients by broadcast delivery.
+ * @typedef {object} broadcast_delivery_responses
+ * @property {object} results     Values returned by client command handlers, keyed by client friendly names.
+ * @property {object} errors      IpcErrors that client deliveries were rejected with, keyed by client friendly names.
+ * @property {string[]} timed_out Friendly names of clients, that have not delivered feedback in time.
+ * @property {string[]} pending   Friendly names of clients, that have not delivered feedback yet,
+ *                                when promise was fulfilled with enough feedbacks.
  */
 
 /**
  * Object containing options that determine behavior of IpcIO.Client
  * @typedef {object} client_constructor_options
  * @property {boolean}  verbose   When true, will feed console with current operations feedback.
+ * @property {logger}   logger    Logger, that diagnostics are written to, defaults to ConsoleLogger.
+ * @property {string}   log_level Minimal level of logged entries: "debug", "info", "warn", "error" or "silent".
+ *                                Defaults to "debug" when verbose, "info" when logger is passed, "silent" otherwise.
  * @property {string}   name      Client friendly name, can be used to address client when emitting from server..
  * @property {string}   domain    Namespace used for connection with all clients handshaking with this server.
+ * @property {string}   transport "unix" domain sockets (default) or "tcp" sockets, has to match server transport.
+ * @property {string}   host      Host of "tcp" transport, defaults to "127.0.0.1".
+ * @property {number}   port      Port of "tcp" transport, required by it.
+ * @property {string}   socket_dir  Directory of unix domain socket files, has to match server one.
+ * @property {string}   path      Path of domain socket file, has to match server one.
+ * @property {boolean}  abstract  When true, Linux abstract namespace sockets are used, has to match server option.
  * @property {string}   encoding  Message buffer encoding, defaults to "utf8".
+ * @property {number}   delivery_timeout  Default time in ms after which delivery promise is rejected,
+ *                                        defaults to 0, that means no timeout.
+ * @property {reconnect_options|boolean} reconnect  Reconnect strategy, false disables reconnecting.
+ * @property {string[]} groups    Names of groups, that client joins at handshake.
+ * @property {persistent_queue_options} persistent_queue  Enables queue, that survives client process restart.
+ *                                                        Requires "name" option.
+ * @property {queue_limit_options} queue_limit  Limits number and size of messages waiting to be acknowledged.
+ * @property {heartbeat_options|boolean} heartbeat  Enables pinging server and reconnecting, when it is unresponsive.
+ *                                                  True enables it with default options.
+ * @property {boolean}  multiplex When true, client asks server to carry all its traffic over single connection,
+ *                                instead of opening second socket to its own channel. Defaults to false.
+ *                                Server multiplexes authenticated clients, whatever the option is.
+ * @property {string}   secret    Secret, that client proves it knows, when server challenges its handshake.
+ * @property {number}   dedup_window  Time in ms for which ids of handled server messages are remembered,
+ *                                    so messages written again by server are not handled twice, defaults to 60000.
+ */
+
+/**
+ * Object containing options that limit client queue. Messages passed to client sending methods count towards limits,
+ * until server acknowledges them.
+ * @typedef {object} queue_limit_options
+ * @property {number} max_length  Maximum number of messages, defaults to 0, that means no limit.
+ * @property {number} max_bytes   Maximum size of messages in bytes, defaults to 0, that means no limit.
+ * @property {string} overflow    What happens to message exceeding limits: "reject" rejects it with E_QUEUE_FULL
+ *                                error code (default), "drop_oldest" rejects the oldest message not yet written
+ *                                to socket instead, "block" holds it until there is room in queue.
+ */
+
+/**
+ * Object containing options of client persistent queue.
+ * @typedef {object} persistent_queue_options
+ * @property {string} dir       Directory, that queue file is kept in. Created when missing.
+ * @property {number} max_bytes Maximum size in bytes of messages waiting in queue file, 0 means no limit (default).
+ *                              Messages exceeding it are rejected with E_QUEUE_FULL error code.
+ */
+
+/**
+ * Object containing options that determine how IpcIO.Client reconnects, when connection is lost or can not be made.
+ * Delay of n-th attempt is delay * factor^(n-1), limited to max_delay, randomized by jitter.
+ * @typedef {object} reconnect_options
+ * @property {number} delay         Delay of first attempt in ms, defaults to 2000.
+ * @property {number} factor        Exponential backoff factor, defaults to 2. Pass 1 for constant delay.
+ * @property {number} max_delay     Maximum delay in ms, defaults to 30000.
+ * @property {number} jitter        Fraction of delay, that delay is randomly increased or decreased by,
+ *                                  defaults to 0.2.
+ * @property {number} max_attempts  Number of attempts in a row after which client gives up, defaults to 0,
+ *                                  that means no limit.
  */
 
+const EventEmitter = require("events");
+const crypto = require("crypto");
 const net = require("net");
 const fs = require("fs");
+const path = require("path");
+const StringDecoder = require("string_decoder").StringDecoder;
 const uuidV4 = require("uuid").v4;
 
-const TMP_PATH = "/tmp/IPC.io";
+const SOCKET_DIR_DEFAULT = "/tmp";
+const SOCKET_FILE_PREFIX = "IPC.io";
 
 const DOMAIN_DEFAULT = "default";
 
+const TRANSPORT_UNIX = "unix";
+const TRANSPORT_TCP = "tcp";
+const TCP_HOST_DEFAULT = "127.0.0.1";
+
+const SOCKET_UMASK_RESTRICTED = 0o177;
+const ABSTRACT_NODE_VERSION_MIN = 20;
+
+const MSG_DELIMITER = "\n";
+
+const STOP_TIMEOUT_DEFAULT = 5000;
+const DELIVERY_TIMEOUT_DEFAULT = 0;
+const DEDUP_WINDOW_DEFAULT = 60000;
+
+const HEARTBEAT_DEFAULTS = {
+  interval: 5000,
+  max_missed: 3,
+};
+
+const MAILBOX_DEFAULTS = {
+  ttl: 60000,
+  max_messages: 1000,
+};
+
+const NAME_CONFLICT_REJECT = "reject";
+const NAME_CONFLICT_EVICT = "evict";
+const NAME_CONFLICT_SUFFIX = "suffix";
+
+const GROUP_STRATEGY_ROUND_ROBIN = "round_robin";
+const GROUP_STRATEGY_LEAST_PENDING = "least_pending";
+const GROUP_STRATEGY_HASH = "hash";
+
+const QUEUE_UNIQUE = "unique";
+const QUEUE_BCAST = "bcast";
+const QUEUE_COMPACT_BYTES = 65536;
+
+const QUEUE_OVERFLOW_REJECT = "reject";
+const QUEUE_OVERFLOW_DROP_OLDEST = "drop_oldest";
+const QUEUE_OVERFLOW_BLOCK = "block";
+
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+const STATS_IN = "in";
+const STATS_OUT = "out";
+const HANDLER_DURATION_BUCKETS = [1, 5, 10, 50, 100, 500, 1000, 5000];
+
+const RECONNECT_DEFAULTS = {
+  delay: 2000,
+  factor: 2,
+  max_delay: 30000,
+  jitter: 0.2,
+  max_attempts: 0,
+};
+
 const COMMAND_HANDSHAKE = "handshake";
 const COMMAND_DISCOVER = "discover";
 const COMMAND_BROADCAST = "broadcast";
@@ -68,13 +351,155 @@ const COMMAND_EMIT = "emit";
 const COMMAND_DELIVER = "deliver";
 const COMMAND_ERROR = "error";
 
+// Internal commands live in namespace, that does not collide with command names of applications.
+const COMMAND_NAMESPACE = "$ipcio:";
+const COMMAND_SHUTDOWN = `${COMMAND_NAMESPACE}shutdown`;
+const COMMAND_SUBSCRIBE = `${COMMAND_NAMESPACE}subscribe`;
+const COMMAND_UNSUBSCRIBE = `${COMMAND_NAMESPACE}unsubscribe`;
+const COMMAND_PUBLISH = `${COMMAND_NAMESPACE}publish`;
+const COMMAND_GROUP = `${COMMAND_NAMESPACE}group`;
+const COMMAND_ACK = `${COMMAND_NAMESPACE}ack`;
+const COMMAND_PING = `${COMMAND_NAMESPACE}ping`;
+const COMMAND_PONG = `${COMMAND_NAMESPACE}pong`;
+const COMMAND_CHALLENGE = `${COMMAND_NAMESPACE}challenge`;
+
 const E_MESSAGE_NOT_JSON = 101;
-const E_MESSAGE_NOT_ARRAY = 102;
 
 const E_CLIENT_NAME_TAKEN = 201;
+const E_CLIENT_EVICTED = 202;
+const E_AUTH_FAILED = 203;
+
+const E_DELIVERY_TIMEOUT = 301;
+const E_DELIVERY_FAILED = 302;
+const E_RECIPIENT_UNKNOWN = 303;
+const E_PEER_DISCONNECTED = 304;
+const E_MIN_RESPONSES = 305;
+
+const E_CONNECT_FAILED = 401;
+const E_DOMAIN_TAKEN = 402;
+
+const E_QUEUE_FULL = 501;
 
 const bcast_registry = {};
 
+/**
+ * @classdesc Error, that ipcIO rejects promises with. Carries one of ipcIO error codes,
+ * or code of error thrown by remote command handler.
+ * @alias module:ipcIO.IpcError
+ */
+class IpcError extends Error {
+  /**
+   * Creates new instance of ipcIO Error.
+   * @constructor
+   * @param {string} message          Error message.
+   * @param {string|number|null} code Error code.
+   */
+  constructor(message, code = null) {
+    super(message);
+
+    /**
+     * Error name.
+     * @type {string}
+     */
+    this.name = "IpcError";
+
+    /**
+     * Error code.
+     * @type {string|number|null}
+     */
+    this.code = code;
+  }
+}
+
+module.exports.IpcError = IpcError;
+
+/**
+ * @classdesc Default logger, writing ANSI-colored entries to console.
+ * @alias module:ipcIO.ConsoleLogger
+ */
+class ConsoleLogger {
+  /**
+   * Writes detailed trace of operations in cyan.
+   * @param {string} message
+   * @param {object} fields   Structured fields.
+   */
+  debug(message, fields = {}) {
+    writeToConsole("\x1b[36m", message, fields); // Cyan
+  }
+
+  /**
+   * Writes lifecycle entries highlighted.
+   * @param {string} message
+   * @param {object} fields   Structured fields.
+   */
+  info(message, fields = {}) {
+    writeToConsole("\x1b[1m", message, fields); // Highlighted
+  }
+
+  /**
+   * Writes recoverable problems in red.
+   * @param {string} message
+   * @param {object} fields   Structured fields.
+   */
+  warn(message, fields = {}) {
+    writeToConsole("\x1b[31m", message, fields); // Red
+  }
+
+  /**
+   * Writes failures in bright red.
+   * @param {string} message
+   * @param {object} fields   Structured fields.
+   */
+  error(message, fields = {}) {
+    writeToConsole("\x1b[1m\x1b[31m", message, fields); // Bright red
+  }
+}
+
+module.exports.ConsoleLogger = ConsoleLogger;
+
+/**
+ * Error codes, that ipcIO errors and error messages carry.
+ * @alias module:ipcIO.codes
+ * @type {object}
+ */
+module.exports.codes = {
+  E_MESSAGE_NOT_JSON,
+  E_CLIENT_NAME_TAKEN,
+  E_CLIENT_EVICTED,
+  E_AUTH_FAILED,
+  E_DELIVERY_TIMEOUT,
+  E_DELIVERY_FAILED,
+  E_RECIPIENT_UNKNOWN,
+  E_PEER_DISCONNECTED,
+  E_MIN_RESPONSES,
+  E_CONNECT_FAILED,
+  E_DOMAIN_TAKEN,
+  E_QUEUE_FULL,
+};
+
+/**
+ * Path prefix of domain sockets in default socket directory, domain socket path is "&lt;prefix&gt;.&lt;domain&gt;".
+ * @alias module:ipcIO.socket_prefix
+ * @type {string}
+ */
+module.exports.socket_prefix = path.join(SOCKET_DIR_DEFAULT, SOCKET_FILE_PREFIX);
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Emits lifecycle event to listeners registered with "on" or "once" methods.<br>
+ * Unlike EventEmitter, does not throw "error" event when there are no listeners for it.
+ * @param {string} event  Event name.
+ * @param {...*} args     Event payload.
+ * @ignore
+ */
+function notify(event, ...args) {
+  if (event === "error" && !this._emitter.listenerCount(event)) {
+    return;
+  }
+
+  this._emitter.emit(event, ...args);
+}
+
 /**
  * @param line
  * @returns {string|boolean|number}
@@ -95,51 +520,85 @@ function formatConsoleOutput(line) {
 }
 
 /**
- * @param args
+ * Writes log entry to console. Message is colored, scalar fields are regular yellow, the rest is dimmed white.
+ * @param {string} color    ANSI escape code of message color.
+ * @param {string} message
+ * @param {object} fields   Structured fields.
  * @ignore
  */
-function feedConsole(...args) {
-  if (this.verbose) {
-    args.forEach((line) => {
-      console.log(`\x1b[36m${formatConsoleOutput(line)}\x1b[0m`); // Cyan
-    });
+function writeToConsole(color, message, fields) {
+  let scalars = [];
+  let objects = [];
+
+  for (let key in fields) {
+    let value = formatConsoleOutput(fields[key]);
+
+    if (typeof value === "string" && value.indexOf("\n") > -1) {
+      objects.push(`${key}: ${value}`);
+    }
+    else {
+      scalars.push(`${key}: ${value}`);
+    }
   }
-}
 
-/**
- * @param args
- * @ignore
- */
-function feedConsoleError(...args) {
-  if (this.verbose) {
-    args.forEach((line) => {
-      console.log(`\x1b[1m\x1b[31m${formatConsoleOutput(line)}\x1b[0m`); // Bright red
-    });
+  console.log(`${color}${message}\x1b[0m`);
+
+  if (scalars.length) {
+    console.log(`\x1b[33m${scalars.join(", ")}\x1b[0m`);
   }
+
+  objects.forEach((line) => {
+    console.log(`\x1b[2m${line}\x1b[0m`);
+  });
 }
 
 /**
- * @param args
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Writes entry to logger, when level is not below log level of instance.<br>
+ * Fields are completed with domain, and client name and channel uuid, when logged by client.
+ * Buffers and errors are converted, so fields are ready to be serialized.
+ * @param {string} level    One of "debug", "info", "warn" or "error".
+ * @param {string} message
+ * @param {object} fields   Structured fields.
  * @ignore
  */
-function feedConsoleLines(...args) {
-  if (this.verbose) {
-    args.forEach((line, idx) => {
-      if (idx === 0) {
-        console.log(`\x1b[1m${formatConsoleOutput(line)}\x1b[0m`); // 1st line is highlighted.
-      }
-      else if (idx === 1) {
-        console.log(`\x1b[33m${formatConsoleOutput(line)}\x1b[0m`); // 2nd is regular yellow.
-      }
-      else {
-        console.log(`\x1b[2m${formatConsoleOutput(line)}\x1b[0m`); // Rest is dimmed white.
-      }
-    });
+function log(level, message, fields = {}) {
+  let log_level = this._log_level || (
+    this.verbose ? "debug" : (this._logger instanceof ConsoleLogger ? "silent" : "info")
+  );
+
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(log_level)) {
+    return;
+  }
+
+  let entry = {
+    domain: this._domain,
+  };
+
+  if (this instanceof IpcClient) {
+    entry.client_name = this._client_name;
+    entry.uuid = this._channel_id;
+  }
+
+  for (let key in fields) {
+    let value = fields[key];
+
+    if (value instanceof Buffer) {
+      value = value.toString();
+    }
+    else if (value instanceof Error) {
+      value = serializeError(value);
+    }
+
+    entry[key] = value === undefined ? null : value;
   }
+
+  this._logger[level](message, entry);
 }
 
 /**
- * Takes message from other party and returns as prepared message.
+ * Takes message from other party and returns as prepared message.<br>
+ * Message may consist of many frames, each frame is a single JSON object terminated with MSG_DELIMITER.
  * @param {Buffer|string} message   Raw message retrieved from socket.
  * @returns {parsed_message_array}  Array o messages, ready to be processed.
  * @ignore
@@ -153,58 +612,95 @@ function parseMsg(message) {
     throw new TypeError("Argument passed must be a buffer or string.");
   }
 
-  // Wrap any message with square brackets.
-  let parsed_message = `[${message.replace(/\r\n|\n|\r/gm, "").replace(/}{/gm, "},{")}]`;
+  // JSON.stringify escapes line breaks within strings, so every line break is a frame boundary.
+  return message.split(/\r\n|\n|\r/gm).filter((frame) => frame.length).map((frame) => {
+    let entry;
 
-  try {
-    let parsed_json = JSON.parse(parsed_message);
-
-    if (parsed_json.constructor === Array) {
-      return parsed_json.map((entry) => {
-
-        // Case of object. Null is falsey, so will be rejected if does not fulfill first part of condition.
-        if (entry && typeof entry === "object") {
-          return {
-            id: entry.id || null,
-            command: entry.command || null,
-            data: entry.data || null,
-            delivery: entry.delivery || null,
-          };
-        }
+    try {
+      entry = JSON.parse(frame);
+    }
+    catch (e) {
+      return {
+        id: null,
+        command: COMMAND_ERROR,
+        data: E_MESSAGE_NOT_JSON,
+        delivery: null,
+        error: null,
+        msg_id: null,
+        channel: null,
+      };
+    }
 
-        // Case of null and non-objects.
-        else {
-          return {
-            id: null,
-            command: null,
-            data: entry,
-            delivery: null,
-          };
-        }
-      });
+    // Case of object. Null is falsey, so will be rejected if does not fulfill first part of condition.
+    if (entry && typeof entry === "object") {
+      return {
+        id: entry.id || null,
+        command: entry.command || null,
+        data: entry.data || null,
+        delivery: entry.delivery || null,
+        error: entry.error || null,
+        msg_id: entry.msg_id || null,
+        channel: entry.channel || null,
+      };
     }
+
+    // Case of null and non-objects.
     else {
-      return [{
+      return {
         id: null,
-        command: COMMAND_ERROR,
-        data: E_MESSAGE_NOT_ARRAY,
+        command: null,
+        data: entry,
         delivery: null,
-      }];
+        error: null,
+        msg_id: null,
+        channel: null,
+      };
     }
+  });
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Appends chunk retrieved from socket to socket reassembly buffer and returns messages that became complete.<br>
+ * Incomplete trailing frame is kept in the buffer until next chunk arrives.
+ * @param {Socket} socket         Socket that chunk was retrieved from.
+ * @param {Buffer|string} buffer  Data chunk received from remote party with "data" event.
+ * @returns {parsed_message_array}  Array of complete messages, ready to be processed.
+ * @ignore
+ */
+function readMsg(socket, buffer) {
+  if (socket._msg_buffer === undefined) {
+    socket._msg_buffer = "";
+    socket._msg_decoder = new StringDecoder(this._encoding);
   }
-  catch (e) {
-    return [{
-      id: null,
-      command: COMMAND_ERROR,
-      data: E_MESSAGE_NOT_JSON,
-      delivery: null,
-    }];
+
+  // Decoder keeps multi-byte characters split between chunks.
+  let chunk = buffer instanceof Buffer ? socket._msg_decoder.write(buffer) : buffer;
+  let boundary = chunk.lastIndexOf(MSG_DELIMITER);
+
+  if (boundary === -1) {
+    socket._msg_buffer += chunk;
+
+    return [];
   }
+
+  let frames = socket._msg_buffer + chunk.slice(0, boundary);
+  socket._msg_buffer = chunk.slice(boundary + MSG_DELIMITER.length);
+
+  // Frames are parsed one by one, so size of each is counted.
+  return frames.split(MSG_DELIMITER).filter((frame) => frame.length).map((frame) => {
+    let message = parseMsg(frame)[0];
+
+    countMsg.call(this, STATS_IN, message.command, Buffer.byteLength(frame) + MSG_DELIMITER.length);
+
+    return message;
+  });
 }
 
 /**
- * Returns parsed_message depending how many arguments are passed to it.
- * @returns {parsed_message} Message prepared to be sent.
+ * Returns parsed_message depending how many arguments are passed to it.<br>
+ * Returned message is a single frame, terminated with MSG_DELIMITER.
+ * @returns {string} Message prepared to be sent.
  * @ignore
  */
 function prepareMsg() {
@@ -212,528 +708,3462 @@ function prepareMsg() {
     throw new Error("No arguments passed.");
   }
   else if (arguments.length === 1) {
-    return JSON.stringify({
+    return `${JSON.stringify({
       id: null,
       command: null,
       data: arguments[0],
       delivery: null,
-    });
+      error: null,
+    })}${MSG_DELIMITER}`;
   }
   else if (arguments.length === 2) {
-    return JSON.stringify({
+    return `${JSON.stringify({
       id: null,
       command: (arguments[0] === null || arguments[0] === undefined) ? null : arguments[0].toString(),
       data: arguments[1],
       delivery: null,
-    });
+      error: null,
+    })}${MSG_DELIMITER}`;
   }
   else if (arguments.length === 3) {
-    return JSON.stringify({
+    return `${JSON.stringify({
       id: (arguments[0] === null || arguments[0] === undefined) ? null : arguments[0].toString(),
       command: (arguments[1] === null || arguments[1] === undefined) ? null : arguments[1].toString(),
       data: arguments[2],
       delivery: null,
-    });
+      error: null,
+    })}${MSG_DELIMITER}`;
+  }
+  else if (arguments.length === 4) {
+    return `${JSON.stringify({
+      id: (arguments[0] === null || arguments[0] === undefined) ? null : arguments[0].toString(),
+      command: (arguments[1] === null || arguments[1] === undefined) ? null : arguments[1].toString(),
+      data: arguments[2],
+      delivery: arguments[3],
+      error: null,
+    })}${MSG_DELIMITER}`;
   }
   else {
-    return JSON.stringify({
+    return `${JSON.stringify({
       id: (arguments[0] === null || arguments[0] === undefined) ? null : arguments[0].toString(),
       command: (arguments[1] === null || arguments[1] === undefined) ? null : arguments[1].toString(),
       data: arguments[2],
       delivery: arguments[3],
-    });
+      error: arguments[4],
+    })}${MSG_DELIMITER}`;
   }
 }
 
 /**
  * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
- * Checks if "this" has handler for command carried by passed message registered. If so, handler is called.
- * @param {string} uuid             Unique id of socket
- * @param {string} client_name      Friendly client name
- * @param {iface} iface             Communication interface exposed to handler.
- * @param {parsed_message} message  Message to be processed by handler
- * @returns {null|*}                When there is delivery id and return value is defined, value will be sent back.
+ * Writes prepared message to socket and counts it in stats.<br>
+ * On multiplexed connection, message is tagged with id of client channel, that connection carries.
+ * @param {Socket} socket       Socket message is written to.
+ * @param {string} message      Prepared message.
+ * @param {function} callback   Called when message is written out.
+ * @returns {boolean}           False, if message is buffered in memory, as socket buffer is full.
  * @ignore
  */
-function executeCommandHandlers(uuid, client_name, iface, message) {
-
-  feedConsoleLines.call(this, "HANDLER EXEC", `socket: ${uuid}, client: ${client_name}`, message);
-
-  let ret = null;
-
-  if (typeof message === "object" && message !== null && message.command !== null && message.command !== undefined) {
-    if (this._command_handlers[message.command] !== undefined) {
-      ret = this._command_handlers[message.command].call(this, {
-        data: message.data,
-        uuid: uuid,
-        name: client_name,
-        socket: iface.socket || null,
-        server: iface.server || null,
-      });
-    }
+function writeMsg(socket, message, callback = undefined) {
+  if (socket._mux_channel !== undefined) {
+    message = tagChannel(message, socket._mux_channel);
   }
 
-  return ret === undefined ? null : ret;
+  return writeBcastMsg.call(this, socket, message, callback);
 }
 
 /**
  * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
- * Adds command handler to handler collection.
- * @param {string} command    Command name
- * @param {function} handler  Handler function
+ * Writes prepared message of handshaking/broadcast channel to socket and counts it in stats.<br>
+ * Unlike writeMsg, never tags message with client channel id.
+ * @param {Socket} socket       Socket message is written to.
+ * @param {string} message      Prepared message.
+ * @param {function} callback   Called when message is written out.
+ * @returns {boolean}           False, if message is buffered in memory, as socket buffer is full.
  * @ignore
  */
-function addCommandHandler(command, handler) {
+function writeBcastMsg(socket, message, callback = undefined) {
+  let command = message.match(/"command":(?:null|"((?:[^"\\]|\\.)*)")/);
 
-  feedConsoleLines.call(this, "HANDLER ADD", `command: ${command}`);
-
-  if (typeof command !== "string") {
-    throw new Error("Argument passed as \"command\" must be a string.");
-  }
+  countMsg.call(this, STATS_OUT, command === null ? null : command[1], Buffer.byteLength(message));
 
-  if (
-    [
-      COMMAND_HANDSHAKE,
-      COMMAND_DISCOVER,
-      COMMAND_BROADCAST,
-      COMMAND_EMIT,
-      COMMAND_DELIVER,
-      COMMAND_ERROR,
-    ].indexOf(command) > -1
-  ) {
-    throw new Error("Argument passed as \"command\" is restricted command name.");
-  }
-  if (typeof handler !== "function") {
-    throw new Error("Argument passed as \"handler\" must be a function.");
-  }
+  return socket.write(message, this._encoding, callback);
+}
 
-  if (command in this._command_handlers) {
-    throw new Error(`Handler for command "${command}" already registered.`);
-  }
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Counts message and its bytes in stats, by direction and command.
+ * @param {string} direction        STATS_IN or STATS_OUT.
+ * @param {string|null} command     Command of message.
+ * @param {number} bytes            Size of message frame.
+ * @ignore
+ */
+function countMsg(direction, command, bytes) {
+  let key = command === null || command === undefined ? "null" : command;
 
-  this._command_handlers[command] = handler;
+  this._stats[`messages_${direction}`][key] = (this._stats[`messages_${direction}`][key] || 0) + 1;
+  this._stats[`bytes_${direction}`][key] = (this._stats[`bytes_${direction}`][key] || 0) + bytes;
 }
 
 /**
- * Adds handlers grouped in collection.
- * @param {handler_collection} handler_collection Handlers to be registered.
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Adds duration of command handler execution to histogram of command.
+ * @param {string} command  Command handled.
+ * @param {number} duration Time in ms.
  * @ignore
  */
-function addHandlers(handler_collection) {
-  if (typeof handler_collection !== "object" || handler_collection === null) {
-    throw new Error("Argument passed as \"handler_collection\" must be an object.");
+function observeHandler(command, duration) {
+  if (this._stats.handler_duration[command] === undefined) {
+    let buckets = {};
+
+    HANDLER_DURATION_BUCKETS.concat(["+Inf"]).forEach((le) => {
+      buckets[le] = 0;
+    });
+
+    this._stats.handler_duration[command] = {
+      count: 0,
+      sum: 0,
+      buckets: buckets,
+    };
   }
 
-  for (let command in handler_collection) {
-    if (handler_collection.hasOwnProperty(command)) {
-      if (typeof handler_collection[command] !== "function") {
-        throw new Error("\"handler_collection\" entry values must be callable.");
-      }
+  let histogram = this._stats.handler_duration[command];
 
-      addCommandHandler.call(this, command, handler_collection[command]);
+  histogram.count++;
+  histogram.sum += duration;
+
+  // Buckets are cumulative, as in Prometheus histograms.
+  for (let le in histogram.buckets) {
+    if (le === "+Inf" || duration <= Number(le)) {
+      histogram.buckets[le]++;
     }
   }
 }
 
 /**
- * On "connect" event handler for IpcServer broadcast socket creation callback.<br>
- * Always called with "this" bound to IpcServer instance.
- * @param {Socket} bcastSocket
+ * Returns empty counters of messages, bytes and handler durations.
+ * @returns {object}
  * @ignore
  */
-function $onServerBcastCreation(bcastSocket) {
+function createStats() {
+  return {
+    messages_in: {},
+    messages_out: {},
+    bytes_in: {},
+    bytes_out: {},
+    handler_duration: {},
+  };
+}
 
-  // Give each client unique id. Id will also be used to establish private communication channel.
-  let uuid = uuidV4().replace(/-/g, "");
+/**
+ * Formats stats returned by IpcServer#getStats or IpcClient#getStats in Prometheus text exposition format,
+ * so they can be served by any HTTP server.<br>
+ * Message and byte counters are labeled with direction and command, handler durations are exposed as histogram,
+ * numeric gauges are exposed as they are, and server clients are labeled with their friendly names.
+ * @example
+ * ```js
+ * http.createServer((req, res) => {
+ *   res.setHeader("Content-Type", "text/plain; version=0.0.4");
+ *   res.end(ipcio.formatPrometheus(exampleServer.getStats()));
+ * }).listen(9100, "127.0.0.1");
+ * ```
+ * @alias module:ipcIO.formatPrometheus
+ * @param {server_stats|client_stats} stats Stats of server or client.
+ * @param {string} prefix                   Prefix of metric names, defaults to "ipcio".
+ * @returns {string}
+ */
+function formatPrometheus(stats, prefix = "ipcio") {
+  let lines = [];
+  let common = {
+    domain: stats.domain,
+  };
+
+  if (typeof stats.client_name === "string") {
+    common.client = stats.client_name;
+  }
 
-  feedConsoleLines.call(this, "SRV BCAST CREATE", `uuid: ${uuid}`);
+  let escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+  let labels = (extra = {}) => {
+    let all = Object.assign({}, common, extra);
 
-  // Assign clientBcastSocket to broadcast sockets registry.
-  if (bcast_registry[this._domain] === undefined) {
-    bcast_registry[this._domain] = {};
-  }
-  bcast_registry[this._domain][uuid] = bcastSocket;
+    return `{${Object.keys(all).map((name) => `${name}="${escape(all[name])}"`).join(",")}}`;
+  };
+  let describe = (name, type, help) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+  };
 
-  bcastSocket
-    .on("data", $onServerBcastData.bind(this, uuid, bcastSocket))
-    .on("close", $onServerBcastClose.bind(this, uuid))
-    .on("error", $onServerBcastError.bind(this))
-  ;
-}
+  // Samples of each metric are grouped together, right after its description.
+  [
+    ["messages", "Messages received (in) and sent (out)."],
+    ["bytes", "Bytes received (in) and sent (out)."],
+  ].forEach(([counter, help]) => {
+    describe(`${counter}_total`, "counter", help);
 
-/**
- * On "data" event handler for IpcServer handshake/broadcast socket.<br>
- * Always called with "this" bound to IpcServer instance.
- * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
- * @param {Socket} bcastSocket  Socket used by IpcServer as handshaking/broadcast channel.
- * @param {Buffer} buffer       Data buffer received from remote party with "data" event.
- * @ignore
- */
-function $onServerBcastData(uuid, bcastSocket, buffer) {
+    [STATS_IN, STATS_OUT].forEach((direction) => {
+      let counts = stats[`${counter}_${direction}`];
 
-  feedConsoleLines.call(this, "SRV BCAST DATA", `socket: ${uuid}`, buffer);
+      for (let command in counts) {
+        lines.push(`${prefix}_${counter}_total${labels({direction, command})} ${counts[command]}`);
+      }
+    });
+  });
 
-  let message_array = parseMsg(buffer); // TODO: Handle possible error message.
+  describe("handler_duration_ms", "histogram", "Time of command handler execution in ms.");
 
-  message_array.forEach((message) => {
-    let client_name = null;
+  for (let command in stats.handler_duration) {
+    let histogram = stats.handler_duration[command];
 
-    switch (message.command) {
+    for (let le in histogram.buckets) {
+      lines.push(`${prefix}_handler_duration_ms_bucket${labels({command, le})} ${histogram.buckets[le]}`);
+    }
 
-      // Handshaking.
-      case COMMAND_HANDSHAKE:
-        client_name = message.data;
+    lines.push(`${prefix}_handler_duration_ms_sum${labels({command})} ${histogram.sum}`);
+    lines.push(`${prefix}_handler_duration_ms_count${labels({command})} ${histogram.count}`);
+  }
 
-        if (this._name_registry[client_name]) {
+  for (let name in stats) {
+    let value = typeof stats[name] === "boolean" ? Number(stats[name]) : stats[name];
 
-          feedConsoleError.call(this, `Sending error response, client name ${client_name} is already taken.`);
+    if (typeof value !== "number") {
+      continue;
+    }
 
-          bcastSocket.write(prepareMsg(client_name, COMMAND_ERROR, E_CLIENT_NAME_TAKEN), this._encoding);
+    if (name === "reconnects") {
+      describe("reconnects_total", "counter", "Reconnect attempts.");
+      lines.push(`${prefix}_reconnects_total${labels()} ${value}`);
+    }
+    else if (name === "uptime") {
+      describe("uptime_ms", "gauge", "Time in ms since server has started or client has connected.");
+      lines.push(`${prefix}_uptime_ms${labels()} ${value}`);
+    }
+    else {
+      describe(name, "gauge", `Current value of ${name.replace(/_/g, " ")}.`);
+      lines.push(`${prefix}_${name}${labels()} ${value}`);
+    }
+  }
 
-          break;
-        }
+  if (stats.clients !== undefined) {
+    [
+      ["connected", "client_connected", "1 if client is connected, 0 if its session is suspended."],
+      ["uptime", "client_uptime_ms", "Time in ms since client has connected."],
+      ["pending_bytes", "client_pending_bytes", "Bytes waiting to be written to client."],
+    ].forEach(([property, name, help]) => {
+      describe(name, "gauge", help);
+
+      for (let client in stats.clients) {
+        lines.push(`${prefix}_${name}${labels({client})} ${Number(stats.clients[client][property])}`);
+      }
+    });
+  }
 
-        this._name_registry[client_name] = uuid;
-        this._uuid_registry[uuid] = {};
-        this._uuid_registry[uuid].name = client_name;
-        this._uuid_registry[uuid].server = net.createServer($onServerUniqueCreation.bind(this, uuid, client_name));
-        this._uuid_registry[uuid].server.listen(`${this._bcast_path}.${uuid}`);
+  return `${lines.join("\n")}\n`;
+}
 
-        feedConsoleLines.call(this, "CLI UNIQUE LISTEN", `path: ${this._bcast_path}.${uuid}`);
-        feedConsole.call(this, `Sending channel uuid ${uuid} to client ${client_name}.`);
+module.exports.formatPrometheus = formatPrometheus;
 
-        bcastSocket.write(prepareMsg(client_name, COMMAND_HANDSHAKE, uuid), this._encoding);
+/**
+ * Returns prepared message tagged with message id.
+ * @param {string} message  Prepared message.
+ * @param {string} msg_id   Message id.
+ * @returns {string} Message prepared to be sent.
+ * @ignore
+ */
+function tagMsg(message, msg_id) {
 
-        break;
+  // Prepared message is always serialized object, so tag is spliced in without parsing possibly large payload.
+  return `{"msg_id":${JSON.stringify(msg_id)},${message.slice(1)}`;
+}
 
-      case COMMAND_DISCOVER:
-        client_name = message.id;
+/**
+ * Returns id of message tagged with tagMsg.
+ * @param {string} message  Prepared message.
+ * @returns {string|null}   Message id, null if message is not tagged.
+ * @ignore
+ */
+function getMsgId(message) {
+  let match = /^\{"msg_id":"([0-9a-f]+)",/.exec(message);
 
-        let discover_data = {
-          clients: Object.keys(this._name_registry),
-          command_handlers: Object.keys(this._command_handlers),
-        };
+  return match !== null ? match[1] : null;
+}
 
-        feedConsole.call(this, `Sending discover response ${discover_data}, to client ${client_name}.`);
+/**
+ * Returns prepared message tagged with id of client channel, that it belongs to on multiplexed connection.
+ * @param {string} message  Prepared message.
+ * @param {string} channel  Client channel id.
+ * @returns {string} Message prepared to be sent.
+ * @ignore
+ */
+function tagChannel(message, channel) {
 
-        bcastSocket.write(prepareMsg(client_name, COMMAND_DISCOVER, discover_data), this._encoding);
+  // Prepared message is always serialized object, so tag is spliced in without parsing possibly large payload.
+  return `{"channel":${JSON.stringify(channel)},${message.slice(1)}`;
+}
 
-        break;
+/**
+ * Turns error thrown by command handler into plain object, that can be delivered back to requester.
+ * @param {Error|*} error Error thrown or promise rejection reason.
+ * @returns {serialized_error}
+ * @ignore
+ */
+function serializeError(error) {
+  if (error instanceof Error) {
+    return {
+      name: error.name,
+      message: error.message,
+      code: error.code === undefined ? null : error.code,
+    };
+  }
 
-      case COMMAND_BROADCAST:
-        let message_to_be_bcasted = parseMsg(message.data)[0]; // TODO: Handle possible error message.
-        this.broadcast(message_to_be_bcasted.command, message_to_be_bcasted.data);
+  return {
+    name: "Error",
+    message: String(error),
+    code: null,
+  };
+}
 
-        break;
+/**
+ * Turns error delivered back from remote party into IpcError, that delivery promise is rejected with.<br>
+ * Error name and code are preserved, error without code gets E_DELIVERY_FAILED code.
+ * @param {serialized_error} serialized_error
+ * @returns {IpcError}
+ * @ignore
+ */
+function deserializeError(serialized_error) {
+  // Remote error without code is still a delivery failure.
+  let error = new IpcError(
+    serialized_error.message, serialized_error.code === null ? E_DELIVERY_FAILED : serialized_error.code
+  );
+  error.name = serialized_error.name;
+
+  return error;
+}
 
-      case COMMAND_EMIT:
-        client_name = message.id;
+/**
+ * Maps errors of broadcast delivery responses, leaving other properties intact.
+ * @param {broadcast_delivery_responses} responses
+ * @param {function} mapFn  Function called with each error.
+ * @returns {broadcast_delivery_responses} Responses copy.
+ * @ignore
+ */
+function mapResponsesErrors(responses, mapFn) {
+  let errors = {};
 
-        if (message.delivery !== null) {
-          this._delivery_registry[message.delivery] = client_name;
-        }
+  for (let client_name in responses.errors) {
+    errors[client_name] = mapFn(responses.errors[client_name]);
+  }
 
-        let message_to_be_emitted = parseMsg(message.data)[0]; // TODO: Handle possible error message.
-        this.emit(
-          message_to_be_emitted.id,
-          message_to_be_emitted.command,
-          message_to_be_emitted.data,
-          message_to_be_emitted.delivery
-        );
-    }
-  }, this);
+  return {
+    results: Object.assign({}, responses.results),
+    errors: errors,
+    timed_out: responses.timed_out.slice(),
+    pending: responses.pending.slice(),
+  };
 }
 
 /**
- * On "close" event handler for IpcServer handshake/broadcast socket.<br>
- * Always called with "this" bound to IpcServer instance.
- * @param {string} uuid Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Checks if "this" has handler for command carried by passed message registered. If so, handler is called.
+ * @param {string} uuid             Unique id of socket
+ * @param {string} client_name      Friendly client name
+ * @param {iface} iface             Communication interface exposed to handler.
+ * @param {parsed_message} message  Message to be processed by handler
+ * @returns {null|*}                When there is delivery id and return value is defined, value will be sent back.
  * @ignore
  */
-function $onServerBcastClose(uuid) {
+function executeCommandHandlers(uuid, client_name, iface, message) {
 
-  feedConsoleLines.call(this, "SRV BCAST CLS", `socket: ${uuid}`);
+  log.call(this, "debug", "HANDLER EXEC", {
+    uuid: uuid,
+    client_name: client_name,
+    command: message.command,
+    delivery: message.delivery,
+  });
 
-  if (bcast_registry[this._domain][uuid] !== undefined) {
-    delete bcast_registry[this._domain][uuid];
+  let ret = null;
+
+  if (typeof message === "object" && message !== null && message.command !== null && message.command !== undefined) {
+    if (this._command_handlers[message.command] !== undefined) {
+      let started_at = process.hrtime();
+      let observe = () => {
+        let elapsed = process.hrtime(started_at);
+
+        observeHandler.call(this, message.command, elapsed[0] * 1e3 + elapsed[1] / 1e6);
+      };
+
+      try {
+        ret = this._command_handlers[message.command].call(this, {
+          data: message.data,
+          uuid: uuid,
+          name: client_name,
+          socket: iface.socket || null,
+          server: iface.server || null,
+          topic: message.topic === undefined ? null : message.topic,
+        });
+      }
+      catch (e) {
+        // Handler failure must not break processing of other messages, treat it as rejection.
+        ret = Promise.reject(e);
+      }
+
+      // Execution of asynchronous handler lasts until returned promise is settled.
+      if (ret instanceof Promise) {
+        ret.then(observe, observe);
+      }
+      else {
+        observe();
+      }
+    }
   }
+
+  return ret === undefined ? null : ret;
 }
 
 /**
- * On "error" event handler for IpcServer handshake/broadcast socket.
- * @param error
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Waits for result returned by command handler. When sender asked for delivery, result or error is passed to reply
+ * function, otherwise error is only reported.
+ * @param {parsed_message} message  Message processed by handler
+ * @param {*} ret                   Value returned by handler, can be a promise.
+ * @param {function} reply          Function called with feedback and serialized error.
  * @ignore
  */
-function $onServerBcastError(error) {
+function settleCommandResult(message, ret, reply) {
+
+  // Promisify if yet not a promise.
+  ret = ret instanceof Promise ? ret : Promise.resolve(ret);
 
-  feedConsoleLines.call(this, "SRV BCAST ERR", error);
+  ret.then(
+    (feedback) => {
+      if (message.delivery !== null) {
+        reply(feedback === undefined ? null : feedback, null);
+      }
+    },
+    (error) => {
+      log.call(this, "error", "Command handler has failed.", {
+        command: message.command,
+        delivery: message.delivery,
+        error: error,
+      });
 
+      if (message.delivery !== null) {
+        reply(null, serializeError(error));
+      }
+    }
+  );
 }
 
 /**
- * On "connect" event handler for IpcServer unique socket creation callback.<br>
- * Always called with "this" bound to IpcServer instance.
- * @param {string} uuid                 Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
- * @param {string} client_name          Friendly name of client, if passed into client constructor,
- *                                      otherwise UUDv4/wo dashes.
- * @param {Socket} serverUniqueSocket   Socket used for 1 to 1 communication with each client.
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Registers delivery promise settle functions. When timeout is given, delivery promise is rejected after it elapses.
+ * @param {string} delivery     Delivery id
+ * @param {function} resolve    Resolve function of delivery promise.
+ * @param {function} reject     Reject function of delivery promise.
+ * @param {number} timeout      Time in ms, 0 means no timeout.
+ * @param {string|null} peer    Friendly name of client that is expected to deliver feedback, null for server.
  * @ignore
  */
-function $onServerUniqueCreation(uuid, client_name, serverUniqueSocket) {
+function registerDelivery(delivery, resolve, reject, timeout, peer = null) {
+  let timer = null;
 
-  feedConsoleLines.call(this, "SRV UNIQUE CREATE", `socket: ${uuid}, client: ${client_name}`);
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      settleDelivery.call(
+        this, delivery, null, new IpcError(`Delivery ${delivery} timed out after ${timeout}ms.`, E_DELIVERY_TIMEOUT)
+      );
+    }, timeout);
+  }
 
-  this._uuid_registry[uuid].socket = serverUniqueSocket;
-  this._uuid_registry[uuid].socket._populated_handlers = {};
-  this._uuid_registry[uuid].socket.writeCommand = function (command, data, callback) {
-    return this.write(prepareMsg(command, data), callback);
-  }.bind(this._uuid_registry[uuid].socket);
-
-  // Close means "do not accept new sockets".
-  // clientUniqueSocket is to be really unique.
-  this._uuid_registry[uuid].server.close();
-
-  serverUniqueSocket
-    .on("data", $onServerUniqueData.bind(this, uuid, client_name, this._uuid_registry[uuid]))
-    .on("close", $onServerUniqueClose.bind(this, uuid, client_name))
-    .on("error", $onServerUniqueError.bind(this))
-  ;
+  this._deliveries[delivery] = {
+    resolve: resolve,
+    reject: reject,
+    timer: timer,
+    peer: peer,
+  };
 }
 
 /**
- * On "data" event handler for IpcServer unique socket.<br>
- * Always called with "this" bound to IpcServer instance.
- * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
- * @param {string} client_name  Friendly name of client, if passed into client constructor, otherwise UUDv4/wo dashes.
- * @param {iface} iface         Interface containing socket instance and server instance.
- * @param {Buffer} buffer       Data buffer received from remote party with "data" event.
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Fulfills or rejects delivery promise and forgets about delivery.
+ * @param {string} delivery Delivery id
+ * @param {*} data          Feedback delivered back.
+ * @param {Error|null} error  When passed, delivery promise is rejected with it.
+ * @returns {boolean}       False, if there is no such pending delivery.
  * @ignore
  */
-function $onServerUniqueData(uuid, client_name, iface, buffer) {
+function settleDelivery(delivery, data, error = null) {
+  let entry = this._deliveries[delivery];
+
+  if (entry === undefined) {
+    return false;
+  }
 
-  feedConsoleLines.call(this, "SRV UNIQUE DATA", `socket: ${uuid}, client: ${client_name}`, buffer);
+  clearTimeout(entry.timer);
+  delete this._deliveries[delivery];
 
-  let message_array = parseMsg(buffer);
-  message_array.forEach((message) => {
+  if (error !== null) {
+    entry.reject(error);
+  }
+  else {
+    entry.resolve(data);
+  }
 
-    // Handle deliver command from consumer client to producer client.
-    if (message.command === COMMAND_DELIVER) {
-      if (message.delivery !== null && this._delivery_registry[message.delivery] !== undefined) {
-        let client_name = this._delivery_registry[message.delivery];
-        this.emit(client_name, COMMAND_DELIVER, message.data, message.delivery);
-        delete this._delivery_registry[message.delivery];
+  return true;
+}
 
-        return;
-      }
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Rejects all pending deliveries awaiting feedback from given peer.
+ * @param {string|null} peer  Friendly name of client, null for server.
+ * @param {IpcError} error    Error that delivery promises are rejected with.
+ * @ignore
+ */
+function rejectPeerDeliveries(peer, error) {
+  for (let delivery in this._deliveries) {
+    if (this._deliveries[delivery].peer === peer) {
+      settleDelivery.call(this, delivery, null, error);
     }
+  }
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Adds command handler to handler collection.
+ * @param {string} command    Command name
+ * @param {function} handler  Handler function
+ * @ignore
+ */
+function addCommandHandler(command, handler) {
+
+  log.call(this, "debug", "HANDLER ADD", {command: command});
+
+  if (typeof command !== "string") {
+    throw new Error("Argument passed as \"command\" must be a string.");
+  }
+
+  if (
+    [
+      COMMAND_HANDSHAKE,
+      COMMAND_DISCOVER,
+      COMMAND_BROADCAST,
+      COMMAND_EMIT,
+      COMMAND_DELIVER,
+      COMMAND_ERROR,
+    ].indexOf(command) > -1 ||
+    command.indexOf(COMMAND_NAMESPACE) === 0
+  ) {
+    throw new Error("Argument passed as \"command\" is restricted command name.");
+  }
+  if (typeof handler !== "function") {
+    throw new Error("Argument passed as \"handler\" must be a function.");
+  }
+
+  if (command in this._command_handlers) {
+    throw new Error(`Handler for command "${command}" already registered.`);
+  }
+
+  this._command_handlers[command] = handler;
+}
 
-    // Handle custom client command when handler registered.
-    let ret = executeCommandHandlers.call(this, uuid, client_name, iface, message);
+/**
+ * Throws when given topic or topic pattern is not a non-empty string.
+ * @param {string} topic Topic or topic pattern.
+ * @ignore
+ */
+function validateTopic(topic) {
+  if (typeof topic !== "string" || !topic.length) {
+    throw new Error("Argument passed as \"topic\" must be a non-empty string.");
+  }
+}
+
+/**
+ * Checks if topic matches topic pattern. Topics consist of segments separated with dots.<br>
+ * Pattern segment "*" matches exactly one segment, pattern segment "#" matches zero or more segments.
+ * @param {string} pattern  Topic pattern, e.g. "orders.*" or "orders.#".
+ * @param {string} topic    Topic, e.g. "orders.created".
+ * @returns {boolean}
+ * @ignore
+ */
+function matchTopic(pattern, topic) {
+  let pattern_segments = pattern.split(".");
+  let topic_segments = topic.split(".");
 
-    if (message.delivery !== null) {
-      // There is delivery id attached, that means that sender wants to be notified with result that is returned.
+  let match = (p, t) => {
+    if (p === pattern_segments.length) {
+      return t === topic_segments.length;
+    }
 
-      if (ret === undefined) {
-        // It is possible, that command handler is not returning anything despite sender asks for delivery.
-        // In such case, we are just to deliver null, but deliverance will be confirmed,
-        // and promise for it will become fulfilled on sender side.
-        ret = null;
+    if (pattern_segments[p] === "#") {
+      for (let skipped = t; skipped <= topic_segments.length; skipped++) {
+        if (match(p + 1, skipped)) {
+          return true;
+        }
       }
 
-      // Promisify if yet not a promise.
-      ret = ret instanceof Promise ? ret : Promise.resolve(ret);
+      return false;
+    }
 
-      ret.then((feedback) => {
-        this.emit(client_name, COMMAND_DELIVER, feedback, message.delivery);
-      });
+    if (t === topic_segments.length) {
+      return false;
     }
-  }, this);
+
+    return (pattern_segments[p] === "*" || pattern_segments[p] === topic_segments[t]) && match(p + 1, t + 1);
+  };
+
+  return match(0, 0);
 }
 
 /**
- * On "close" event handler for IpcServer client communication socket.<br>
- * Always called with "this" bound to IpcServer instance.
- * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
- * @param {string} client_name  Friendly name of client, if passed into client constructor, otherwise UUDv4/wo dashes.
+ * Adds handlers grouped in collection.
+ * @param {handler_collection} handler_collection Handlers to be registered.
  * @ignore
  */
-function $onServerUniqueClose(uuid, client_name) {
+function addHandlers(handler_collection) {
+  if (typeof handler_collection !== "object" || handler_collection === null) {
+    throw new Error("Argument passed as \"handler_collection\" must be an object.");
+  }
 
-  feedConsoleLines.call(this, "SRV UNIQUE CLS", `socket: ${uuid}, client: ${client_name}`);
+  for (let command in handler_collection) {
+    if (handler_collection.hasOwnProperty(command)) {
+      if (typeof handler_collection[command] !== "function") {
+        throw new Error("\"handler_collection\" entry values must be callable.");
+      }
 
-  if (this._name_registry[client_name] !== undefined) {
-    delete this._name_registry[client_name];
+      addCommandHandler.call(this, command, handler_collection[command]);
+    }
   }
+}
 
-  if (this._uuid_registry[uuid].name !== undefined) {
-    delete this._uuid_registry[uuid].name;
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Pings peer over given unique socket in intervals. Any data received from peer resets counter of missed pings.
+ * @param {Socket} socket         Unique socket.
+ * @param {function} onTimeout    Called when peer has left max_missed pings in a row unanswered.
+ * @returns {null|Timeout}        Interval timer, null when heartbeat is disabled.
+ * @ignore
+ */
+function startHeartbeat(socket, onTimeout) {
+  if (this._heartbeat === null) {
+    return null;
   }
 
-  if (this._uuid_registry[uuid].server !== undefined) {
-    delete this._uuid_registry[uuid].server;
-  }
+  socket._missed_beats = 0;
 
-  if (this._uuid_registry[uuid].socket !== undefined) {
-    delete this._uuid_registry[uuid].socket;
-  }
+  return setInterval(() => {
+    if (socket._missed_beats >= this._heartbeat.max_missed) {
+      log.call(this, "warn", "Peer has not answered pings, considering it dead.", {missed: socket._missed_beats});
+      onTimeout();
+
+      return;
+    }
+
+    if (socket.writable) {
+      socket._missed_beats++;
+      writeMsg.call(this, socket, prepareMsg(COMMAND_PING, null));
+    }
+  }, this._heartbeat.interval);
 }
 
 /**
- * On "error" event handler for IpcServer client communication socket.
- * @param error
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Handles heartbeat messages received over unique socket. Answers ping with pong.
+ * @param {Socket} socket           Unique socket, that message was received over.
+ * @param {parsed_message} message  Received message.
+ * @returns {boolean}               True, if message was heartbeat message.
  * @ignore
  */
-function $onServerUniqueError(error) {
+function handleHeartbeat(socket, message) {
+
+  // Peer is alive, as long as it sends anything.
+  socket._missed_beats = 0;
 
-  feedConsoleLines.call(this, "SRV UNIQUE ERR", error);
+  if (message.command === COMMAND_PING) {
+    if (socket.writable) {
+      writeMsg.call(this, socket, prepareMsg(COMMAND_PONG, null));
+    }
+
+    return true;
+  }
 
+  return message.command === COMMAND_PONG;
 }
 
 /**
- * @classdesc Inter-Process-Communication Server
- * @alias module:ipcIO.Server
- */
-class IpcServer {
-  /**
+ * On "connect" event handler for IpcServer broadcast socket creation callback.<br>
+ * Always called with "this" bound to IpcServer instance.
+ * @param {Socket} bcastSocket
+ * @ignore
+ */
+function $onServerBcastCreation(bcastSocket) {
+
+  // Give each client unique id. Id will also be used to establish private communication channel.
+  let uuid = uuidV4().replace(/-/g, "");
+
+  log.call(this, "debug", "SRV BCAST CREATE", {uuid: uuid});
+
+  // Assign clientBcastSocket to broadcast sockets registry.
+  if (bcast_registry[this._domain] === undefined) {
+    bcast_registry[this._domain] = {};
+  }
+  bcast_registry[this._domain][uuid] = bcastSocket;
+
+  bcastSocket
+    .on("data", $onServerBcastData.bind(this, uuid, bcastSocket))
+    .on("close", $onServerBcastClose.bind(this, uuid))
+    .on("error", $onServerBcastError.bind(this))
+  ;
+}
+
+/**
+ * On "data" event handler for IpcServer handshake/broadcast socket.<br>
+ * Always called with "this" bound to IpcServer instance.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {Socket} bcastSocket  Socket used by IpcServer as handshaking/broadcast channel.
+ * @param {Buffer} buffer       Data buffer received from remote party with "data" event.
+ * @ignore
+ */
+function $onServerBcastData(uuid, bcastSocket, buffer) {
+
+  log.call(this, "debug", "SRV BCAST DATA", {uuid: uuid, data: buffer});
+
+  let message_array = readMsg.call(this, bcastSocket, buffer); // TODO: Handle possible error message.
+
+  message_array.forEach((message) => {
+    let ack_error = null;
+
+    // Authenticated connection speaks only for the name, that has passed the challenge, whatever message id says.
+    let client_name = bcastSocket._client_name !== undefined ? bcastSocket._client_name : message.id;
+
+    // Multiplexed connection carries client unique channel as well, its messages are tagged with channel id.
+    if (message.channel !== null && message.channel === bcastSocket._mux_channel) {
+      let iface = this._uuid_registry[message.channel];
+
+      if (iface !== undefined && iface.socket === bcastSocket) {
+        handleServerUniqueMsg.call(this, message.channel, iface.name, iface, message);
+      }
+
+      return;
+    }
+
+    // Until client proves it knows secret, it may only handshake and answer challenge.
+    if (
+      this._secret !== null &&
+      !bcastSocket._is_authenticated &&
+      message.command !== COMMAND_HANDSHAKE &&
+      message.command !== COMMAND_CHALLENGE
+    ) {
+      rejectUnauthenticated.call(this, uuid, bcastSocket, message.id);
+
+      return;
+    }
+
+    // Client sends message again, when it has not been acknowledged before connection was lost.
+    if (message.msg_id !== null && isHandledMsg.call(this, message.msg_id)) {
+      writeBcastMsg.call(this, bcastSocket, prepareMsg(COMMAND_ACK, message.msg_id));
+
+      return;
+    }
+
+    switch (message.command) {
+
+      // Handshaking.
+      case COMMAND_HANDSHAKE:
+
+        let handshake = message.data;
+
+        // Handshake carries object of client name and options.
+        if (typeof handshake !== "object" || handshake === null) {
+          rejectMalformedMsg.call(this, bcastSocket, client_name, message);
+
+          break;
+        }
+
+        // Channel is created only for client, that passes challenge. Each handshake is challenged,
+        // so authenticated connection can not handshake again under another name.
+        if (this._secret !== null) {
+          challengeClient.call(this, bcastSocket, handshake);
+
+          break;
+        }
+
+        acceptHandshake.call(this, uuid, bcastSocket, handshake);
+
+        break;
+
+      case COMMAND_CHALLENGE:
+        verifyChallenge.call(this, uuid, bcastSocket, message.data);
+
+        break;
+
+      case COMMAND_DISCOVER:
+        let discover_data = {
+          clients: Object.keys(this._name_registry),
+          groups: this._group_registry,
+          command_handlers: Object.keys(this._command_handlers),
+        };
+
+        log.call(this, "debug", "Sending discover response to client.", {
+          client_name: client_name,
+          data: discover_data,
+        });
+
+        writeBcastMsg.call(this, bcastSocket, prepareMsg(client_name, COMMAND_DISCOVER, discover_data));
+
+        break;
+
+      case COMMAND_BROADCAST:
+        // Broadcast with delivery id attached is a request for broadcast delivery,
+        // collected feedbacks are delivered back.
+        if (message.delivery !== null && message.data !== null && typeof message.data === "object") {
+          let message_to_be_delivered = parseCarriedMsg(message.data.message);
+
+          if (message_to_be_delivered === null) {
+            ack_error = rejectMalformedMsg.call(this, bcastSocket, client_name, message);
+
+            break;
+          }
+
+          this
+            .broadcastDeliver(message_to_be_delivered.command, message_to_be_delivered.data, {
+              timeout: message.data.timeout,
+              min_responses: message.data.min_responses,
+            }, client_name)
+            .then(
+              (responses) => {
+                writeToClient.call(this, client_name, prepareMsg(
+                  null, COMMAND_DELIVER, mapResponsesErrors(responses, serializeError), message.delivery
+                ));
+              },
+              (error) => {
+                writeToClient.call(this, client_name, prepareMsg(
+                  null, COMMAND_DELIVER, null, message.delivery, serializeError(error)
+                ));
+              }
+            )
+          ;
+
+          break;
+        }
+
+        let message_to_be_bcasted = parseCarriedMsg(message.data);
+
+        if (message_to_be_bcasted === null) {
+          ack_error = rejectMalformedMsg.call(this, bcastSocket, client_name, message);
+
+          break;
+        }
+
+        this.broadcast(message_to_be_bcasted.command, message_to_be_bcasted.data);
+
+        break;
+
+      case COMMAND_GROUP:
+        let message_to_be_grouped = message.data !== null && typeof message.data === "object"
+          ? parseCarriedMsg(message.data.message)
+          : null;
+
+        if (message_to_be_grouped === null) {
+          ack_error = rejectMalformedMsg.call(this, bcastSocket, client_name, message);
+
+          break;
+        }
+
+        if (message.delivery === null) {
+          try {
+            emitToGroup.call(
+              this, message.data.group, message_to_be_grouped.command, message_to_be_grouped.data, message.data
+            );
+          }
+          catch (e) {
+            log.call(this, "warn", "Dropping message for group.", {
+              client_name: client_name,
+              group: message.data.group,
+              error: e,
+            });
+
+            ack_error = e;
+          }
+
+          break;
+        }
+
+        this
+          .deliverGroup(message.data.group, message_to_be_grouped.command, message_to_be_grouped.data, message.data)
+          .then(
+            (feedback) => {
+              writeToClient.call(this, client_name, prepareMsg(null, COMMAND_DELIVER, feedback, message.delivery));
+            },
+            (error) => {
+              writeToClient.call(this, client_name, prepareMsg(
+                null, COMMAND_DELIVER, null, message.delivery, serializeError(error)
+              ));
+            }
+          )
+        ;
+
+        break;
+
+      case COMMAND_PUBLISH:
+        let message_to_be_published = message.data !== null && typeof message.data === "object"
+          ? parseCarriedMsg(message.data.message)
+          : null;
+
+        if (message_to_be_published === null) {
+          ack_error = rejectMalformedMsg.call(this, bcastSocket, client_name, message);
+
+          break;
+        }
+
+        try {
+          this.publish(message.data.topic, message_to_be_published.command, message_to_be_published.data, client_name);
+        }
+        catch (e) {
+          log.call(this, "warn", "Dropping message for topic.", {
+            client_name: client_name,
+            topic: message.data.topic,
+            error: e,
+          });
+
+          ack_error = e;
+        }
+
+        break;
+
+      case COMMAND_EMIT:
+        let message_to_be_emitted = parseCarriedMsg(message.data);
+
+        if (message_to_be_emitted === null) {
+          ack_error = rejectMalformedMsg.call(this, bcastSocket, client_name, message);
+
+          break;
+        }
+
+        // Message would vanish, tell requester that there is no such recipient.
+        if (!isClientReachable.call(this, message_to_be_emitted.id)) {
+          ack_error = rejectRoutedMsg.call(this, client_name, message, new IpcError(
+            `Client "${message_to_be_emitted.id}" is not connected.`, E_RECIPIENT_UNKNOWN
+          ));
+
+          break;
+        }
+
+        // Both participants are tracked, so delivery is rejected or forgotten when either of them disconnects.
+        if (message.delivery !== null) {
+          this._delivery_registry[message.delivery] = {
+            requester: client_name,
+            recipient: message_to_be_emitted.id,
+          };
+        }
+
+        let is_emitted = writeToClient.call(this, message_to_be_emitted.id, prepareMsg(
+          null,
+          message_to_be_emitted.command,
+          message_to_be_emitted.data,
+          message_to_be_emitted.delivery
+        ));
+
+        // Recipient does not keep up with reading, so message has been dropped.
+        if (!is_emitted) {
+          ack_error = rejectRoutedMsg.call(this, client_name, message, new IpcError(
+            `Message to client "${message_to_be_emitted.id}" has been dropped.`, E_QUEUE_FULL
+          ));
+        }
+    }
+
+    // Error carried by acknowledgement rejects promise for message.
+    if (message.msg_id !== null && ack_error !== null) {
+      writeBcastMsg.call(
+        this, bcastSocket, prepareMsg(null, COMMAND_ACK, message.msg_id, null, serializeError(ack_error))
+      );
+    }
+    else if (message.msg_id !== null) {
+      writeBcastMsg.call(this, bcastSocket, prepareMsg(COMMAND_ACK, message.msg_id));
+    }
+  }, this);
+}
+
+/**
+ * Parses message carried in data of another message, e.g. message to be broadcast or emitted.
+ * @param {*} carried_message       Message prepared with prepareMsg by requester.
+ * @returns {parsed_message|null}   Null, if carried message is missing or is not valid JSON.
+ * @ignore
+ */
+function parseCarriedMsg(carried_message) {
+  if (typeof carried_message !== "string") {
+    return null;
+  }
+
+  let message = parseMsg(carried_message)[0];
+
+  if (message === undefined || (message.command === COMMAND_ERROR && message.data === E_MESSAGE_NOT_JSON)) {
+    return null;
+  }
+
+  return message;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Answers request, that carries malformed message. Delivery is rejected, message with id is rejected with its
+ * acknowledgement, requester is sent error otherwise.
+ * @param {Socket} bcastSocket      Socket used by IpcServer as handshaking/broadcast channel.
+ * @param {string} client_name      Friendly name of requester.
+ * @param {parsed_message} message  Request message.
+ * @returns {IpcError|null}         Error to be sent with acknowledgement of message.
+ * @ignore
+ */
+function rejectMalformedMsg(bcastSocket, client_name, message) {
+  let error = new IpcError(`Message carried by "${message.command}" request is malformed.`, E_MESSAGE_NOT_JSON);
+
+  log.call(this, "warn", "Rejecting request, that carries malformed message.", {
+    client_name: client_name,
+    command: message.command,
+    delivery: message.delivery,
+  });
+
+  if (message.delivery !== null) {
+    writeToClient.call(
+      this, client_name, prepareMsg(null, COMMAND_DELIVER, null, message.delivery, serializeError(error))
+    );
+
+    return null;
+  }
+
+  if (message.msg_id !== null) {
+    return error;
+  }
+
+  writeBcastMsg.call(this, bcastSocket, prepareMsg(client_name, COMMAND_ERROR, E_MESSAGE_NOT_JSON));
+
+  return null;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Answers request, that could not be written to its recipient. Delivery is rejected and forgotten,
+ * message is rejected with its acknowledgement otherwise.
+ * @param {string} client_name      Friendly name of requester.
+ * @param {parsed_message} message  Request message.
+ * @param {IpcError} error          Reason, that request is rejected with.
+ * @returns {IpcError|null}         Error to be sent with acknowledgement of message.
+ * @ignore
+ */
+function rejectRoutedMsg(client_name, message, error) {
+  if (message.delivery === null) {
+    return error;
+  }
+
+  delete this._delivery_registry[message.delivery];
+  writeToClient.call(
+    this, client_name, prepareMsg(null, COMMAND_DELIVER, null, message.delivery, serializeError(error))
+  );
+
+  return null;
+}
+
+/**
+ * Returns HMAC digest, that proves knowledge of secret, for challenge sent to client of given name.
+ * @param {string} secret       Secret of client.
+ * @param {string} nonce        Random challenge sent by server.
+ * @param {string} client_name  Friendly name client has handshaken with.
+ * @returns {string} Hex encoded HMAC-SHA256 digest.
+ * @ignore
+ */
+function getAuthDigest(secret, nonce, client_name) {
+  return crypto.createHmac("sha256", String(secret)).update(`${nonce}:${client_name}`).digest("hex");
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Returns secret, that client of given name has to know, either shared one or the one of client name.
+ * @param {string} client_name  Friendly name client has handshaken with.
+ * @returns {string|null}       Null when there is no secret for client name, so it can not authenticate.
+ * @ignore
+ */
+function getClientSecret(client_name) {
+  if (typeof this._secret === "string") {
+    return this._secret;
+  }
+
+  return Object.prototype.hasOwnProperty.call(this._secret, client_name) ? this._secret[client_name] : null;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Sends random challenge to client, that has handshaken. Handshake is accepted once client answers it with HMAC.
+ * @param {Socket} bcastSocket  Socket used by IpcServer as handshaking/broadcast channel.
+ * @param {object} handshake    Handshake data: name, groups, session and multiplex flag.
+ * @ignore
+ */
+function challengeClient(bcastSocket, handshake) {
+
+  log.call(this, "debug", "Challenging client handshake.", {client_name: handshake.name});
+
+  bcastSocket._challenge = {
+    nonce: crypto.randomBytes(32).toString("hex"),
+    handshake: handshake,
+  };
+
+  writeBcastMsg.call(this, bcastSocket, prepareMsg(handshake.name, COMMAND_CHALLENGE, bcastSocket._challenge.nonce));
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Verifies answer to challenge. Handshake of client, that knows secret, is accepted, client is rejected otherwise.
+ * @param {string} uuid         Unique id of handshake/broadcast socket, UUDv4/wo dashes.
+ * @param {Socket} bcastSocket  Socket used by IpcServer as handshaking/broadcast channel.
+ * @param {string|null} digest  HMAC digest sent by client.
+ * @ignore
+ */
+function verifyChallenge(uuid, bcastSocket, digest) {
+  let challenge = bcastSocket._challenge;
+
+  delete bcastSocket._challenge;
+
+  // Answer without challenge sent is rejected as well.
+  if (challenge === undefined) {
+    rejectUnauthenticated.call(this, uuid, bcastSocket, null);
+
+    return;
+  }
+
+  let secret = getClientSecret.call(this, challenge.handshake.name);
+  let expected = Buffer.from(secret === null ? "" : getAuthDigest(secret, challenge.nonce, challenge.handshake.name));
+  let received = Buffer.from(typeof digest === "string" ? digest : "");
+
+  if (secret === null || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    rejectUnauthenticated.call(this, uuid, bcastSocket, challenge.handshake.name);
+
+    return;
+  }
+
+  bcastSocket._is_authenticated = true;
+
+  acceptHandshake.call(this, uuid, bcastSocket, challenge.handshake);
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Rejects client, that has failed to authenticate, and closes its connection.
+ * @param {string} uuid               Unique id of handshake/broadcast socket, UUDv4/wo dashes.
+ * @param {Socket} bcastSocket        Socket used by IpcServer as handshaking/broadcast channel.
+ * @param {string|null} client_name   Friendly name client has handshaken with.
+ * @ignore
+ */
+function rejectUnauthenticated(uuid, bcastSocket, client_name) {
+
+  // Connection is already being closed, when there are more messages in the same chunk.
+  if (!bcastSocket.writable) {
+    return;
+  }
+
+  log.call(this, "warn", "Rejecting client, that has failed to authenticate.", {uuid: uuid, client_name: client_name});
+
+  writeBcastMsg.call(this, bcastSocket, prepareMsg(client_name, COMMAND_ERROR, E_AUTH_FAILED));
+  bcastSocket.end();
+
+  notify.call(this, "handshake_rejected", {
+    uuid: uuid,
+    name: client_name,
+    code: E_AUTH_FAILED,
+  });
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Assigns name and unique channel to client, that has handshaken, and sends handshake response.<br>
+ * Name conflict is resolved with server name conflict policy, resumable session is resumed.
+ * @param {string} uuid         Unique id of handshake/broadcast socket, UUDv4/wo dashes.
+ * @param {Socket} bcastSocket  Socket used by IpcServer as handshaking/broadcast channel.
+ * @param {object} handshake    Handshake data: name, groups, session and multiplex flag.
+ * @ignore
+ */
+function acceptHandshake(uuid, bcastSocket, handshake) {
+  let client_name = handshake.name;
+  let resumed_uuid = getResumableSession.call(this, handshake.session);
+  let holder = this._uuid_registry[this._name_registry[client_name]];
+
+  // Session belongs to name, that it has been started with, so its token does not let another client take it over.
+  if (resumed_uuid !== null && this._uuid_registry[resumed_uuid].handshake_name !== client_name) {
+    rejectUnauthenticated.call(this, uuid, bcastSocket, client_name);
+
+    return;
+  }
+
+  if (resumed_uuid !== null) {
+    client_name = this._uuid_registry[resumed_uuid].name;
+    resumeSession.call(this, resumed_uuid, client_name);
+  }
+
+  // Name held by client, that has not resumed its session, is released for newcomer.
+  else if (holder !== undefined && holder.suspend_timer) {
+    releaseClient.call(this, this._name_registry[client_name], client_name);
+  }
+  else if (this._name_registry[client_name] && this._name_conflict === NAME_CONFLICT_EVICT) {
+    evictClient.call(this, this._name_registry[client_name], client_name);
+  }
+  else if (this._name_registry[client_name] && this._name_conflict === NAME_CONFLICT_SUFFIX) {
+    client_name = getFreeClientName.call(this, client_name);
+  }
+  else if (this._name_registry[client_name]) {
+
+    log.call(this, "warn", "Sending error response, client name is already taken.", {
+      uuid: uuid,
+      client_name: client_name,
+    });
+
+    writeBcastMsg.call(this, bcastSocket, prepareMsg(client_name, COMMAND_ERROR, E_CLIENT_NAME_TAKEN));
+
+    notify.call(this, "handshake_rejected", {
+      uuid: uuid,
+      name: client_name,
+      code: E_CLIENT_NAME_TAKEN,
+    });
+
+    return;
+  }
+
+  // Resumed client gets its previous channel back.
+  let channel_uuid = resumed_uuid !== null ? resumed_uuid : uuid;
+
+  if (resumed_uuid === null) {
+    this._name_registry[client_name] = uuid;
+
+    // Client without name of its own is never expected back under the same name, so it gets no mailbox.
+    if (handshake.anonymous !== true) {
+      this._known_names[client_name] = Date.now();
+    }
+
+    this._uuid_registry[uuid] = {};
+    this._uuid_registry[uuid].name = client_name;
+    this._uuid_registry[uuid].handshake_name = handshake.name;
+    this._uuid_registry[uuid].groups = Array.isArray(handshake.groups) ? handshake.groups : [];
+    joinGroups.call(this, client_name, this._uuid_registry[uuid].groups);
+
+    if (this._session_grace > 0) {
+      this._uuid_registry[uuid].session = crypto.randomBytes(16).toString("hex");
+      this._sessions[this._uuid_registry[uuid].session] = uuid;
+    }
+  }
+  else if (hasSocketFiles.call(this) && fs.existsSync(`${this._bcast_path}.${channel_uuid}`)) {
+    fs.unlinkSync(`${this._bcast_path}.${channel_uuid}`);
+  }
+
+  if (bcastSocket._is_authenticated) {
+    bcastSocket._client_name = client_name;
+  }
+
+  // Older clients neither acknowledge messages written to them, nor skip the ones written again.
+  this._uuid_registry[channel_uuid].acks = handshake.ack === true;
+
+  // Client asking for multiplexing gets its channel on connection it has handshaken with.
+  // Authenticated client always does, as connection to separate channel socket would not be authenticated.
+  if (handshake.multiplex === true || this._secret !== null) {
+    log.call(this, "debug", "Multiplexing client channel.", {uuid: channel_uuid, client_name: client_name});
+
+    writeBcastMsg.call(this, bcastSocket, prepareMsg(handshake.name, COMMAND_HANDSHAKE, {
+      uuid: channel_uuid,
+      name: client_name,
+      session: this._uuid_registry[channel_uuid].session || null,
+      resumed: resumed_uuid !== null,
+      multiplex: true,
+      ack: true,
+    }));
+
+    bcastSocket._mux_channel = channel_uuid;
+    $onServerUniqueCreation.call(this, channel_uuid, client_name, bcastSocket);
+
+    return;
+  }
+
+  let unique_server = net.createServer($onServerUniqueCreation.bind(this, channel_uuid, client_name));
+  let unique_address = getUniqueAddress.call(this, channel_uuid, 0);
+
+  this._uuid_registry[channel_uuid].server = unique_server;
+
+  // Server can not listen on channel (e.g. with EADDRINUSE or EACCES), so client is released to handshake again.
+  unique_server.on("error", (error) => {
+
+    log.call(this, "error", "SRV UNIQUE LISTEN ERR", {uuid: channel_uuid, client_name: client_name, error: error});
+
+    notify.call(this, "error", error);
+
+    let iface = this._uuid_registry[channel_uuid];
+
+    if (iface !== undefined && iface.server === unique_server && iface.socket === undefined) {
+      releaseClient.call(this, channel_uuid, client_name);
+      bcastSocket.destroy();
+    }
+  });
+
+  // Client, that leaves before it connects to its channel, would keep its name and channel socket forever.
+  bcastSocket.once("close", () => {
+    let iface = this._uuid_registry[channel_uuid];
+
+    if (iface !== undefined && iface.server === unique_server && iface.socket === undefined) {
+      unique_server.close();
+      releaseClient.call(this, channel_uuid, client_name);
+    }
+  });
+
+  // Client is told about channel once server listens, as only then ephemeral port of "tcp" transport is known.
+  listenSocket.call(this, unique_server, unique_address, (error) => {
+
+    log.call(this, "debug", "SRV UNIQUE LISTEN", Object.assign({uuid: channel_uuid}, unique_address));
+
+    // Socket file stays accessible to server owner only.
+    if (error !== null) {
+      notify.call(this, "error", error);
+    }
+
+    log.call(this, "debug", "Sending channel uuid to client.", {uuid: channel_uuid, client_name: client_name});
+
+    // Client may have gone away meanwhile.
+    if (!bcastSocket.writable || this._uuid_registry[channel_uuid] === undefined) {
+      return;
+    }
+
+    // Handshake response is addressed with name client has asked for, but carries name that is assigned.
+    writeBcastMsg.call(this, bcastSocket, prepareMsg(handshake.name, COMMAND_HANDSHAKE, {
+      uuid: channel_uuid,
+      name: client_name,
+      session: this._uuid_registry[channel_uuid].session || null,
+      resumed: resumed_uuid !== null,
+      port: this._transport === TRANSPORT_TCP ? unique_server.address().port : null,
+      ack: true,
+    }));
+  });
+}
+
+/**
+ * On "close" event handler for IpcServer handshake/broadcast socket.<br>
+ * Always called with "this" bound to IpcServer instance.
+ * @param {string} uuid Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @ignore
+ */
+function $onServerBcastClose(uuid) {
+
+  log.call(this, "debug", "SRV BCAST CLS", {uuid: uuid});
+
+  if (bcast_registry[this._domain][uuid] !== undefined) {
+    delete bcast_registry[this._domain][uuid];
+  }
+}
+
+/**
+ * On "error" event handler for IpcServer handshake/broadcast socket.
+ * @param error
+ * @ignore
+ */
+function $onServerBcastError(error) {
+
+  log.call(this, "error", "SRV BCAST ERR", {error: error});
+
+  notify.call(this, "error", error);
+}
+
+/**
+ * On "connect" event handler for IpcServer unique socket creation callback.<br>
+ * Always called with "this" bound to IpcServer instance.
+ * @param {string} uuid                 Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name          Friendly name of client, if passed into client constructor,
+ *                                      otherwise UUDv4/wo dashes.
+ * @param {Socket} serverUniqueSocket   Socket used for 1 to 1 communication with each client.
+ * @ignore
+ */
+function $onServerUniqueCreation(uuid, client_name, serverUniqueSocket) {
+
+  log.call(this, "info", "SRV UNIQUE CREATE", {uuid: uuid, client_name: client_name});
+
+  this._uuid_registry[uuid].socket = serverUniqueSocket;
+  this._uuid_registry[uuid].connected_at = Date.now();
+  this._uuid_registry[uuid].socket._populated_handlers = {};
+
+  // Messages written to client are kept, until client acknowledges them.
+  if (this._uuid_registry[uuid].acks) {
+    this._uuid_registry[uuid].socket._unacked = {};
+  }
+  this._uuid_registry[uuid].socket.writeCommand = (command, data, callback) => {
+    return writeMsg.call(this, serverUniqueSocket, prepareMsg(command, data), callback);
+  };
+
+  // Data of multiplexed connection is dispatched by handshake/broadcast socket handler, that also handles errors.
+  if (serverUniqueSocket._mux_channel === undefined) {
+
+    // Close means "do not accept new sockets".
+    // clientUniqueSocket is to be really unique.
+    this._uuid_registry[uuid].server.close();
+
+    serverUniqueSocket
+      .on("data", $onServerUniqueData.bind(this, uuid, client_name, this._uuid_registry[uuid]))
+      .on("error", $onServerUniqueError.bind(this))
+    ;
+  }
+
+  serverUniqueSocket.on("close", $onServerUniqueClose.bind(this, uuid, client_name, serverUniqueSocket));
+
+  this._uuid_registry[uuid].heartbeat_timer = startHeartbeat.call(this, serverUniqueSocket, () => {
+    notify.call(this, "heartbeat_timeout", {
+      uuid: uuid,
+      name: client_name,
+    });
+
+    // Hung client would keep its name forever, cleanup is done immediately.
+    $onServerUniqueClose.call(this, uuid, client_name);
+    serverUniqueSocket.destroy();
+  });
+
+  if (this._uuid_registry[uuid].is_resumed) {
+    delete this._uuid_registry[uuid].is_resumed;
+
+    notify.call(this, "client_resumed", {
+      uuid: uuid,
+      name: client_name,
+    });
+  }
+  else {
+    notify.call(this, "client_connected", {
+      uuid: uuid,
+      name: client_name,
+    });
+  }
+
+  // Messages written while session was suspended go before mailbox, which is filled only after session is released.
+  (this._uuid_registry[uuid].backlog || []).forEach((message) => {
+    writeToSocket.call(this, serverUniqueSocket, client_name, message);
+  });
+  delete this._uuid_registry[uuid].backlog;
+  delete this._uuid_registry[uuid].backlog_bytes;
+
+  flushMailbox.call(this, client_name, serverUniqueSocket);
+}
+
+/**
+ * On "data" event handler for IpcServer unique socket.<br>
+ * Always called with "this" bound to IpcServer instance.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client, if passed into client constructor, otherwise UUDv4/wo dashes.
+ * @param {iface} iface         Interface containing socket instance and server instance.
+ * @param {Buffer} buffer       Data buffer received from remote party with "data" event.
+ * @ignore
+ */
+function $onServerUniqueData(uuid, client_name, iface, buffer) {
+
+  log.call(this, "debug", "SRV UNIQUE DATA", {uuid: uuid, client_name: client_name, data: buffer});
+
+  let message_array = readMsg.call(this, iface.socket, buffer);
+  message_array.forEach((message) => handleServerUniqueMsg.call(this, uuid, client_name, iface, message));
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Handles single message received through client unique channel.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client, if passed into client constructor, otherwise UUDv4/wo dashes.
+ * @param {iface} iface         Interface containing socket instance and server instance.
+ * @param {parsed_message} message  Message received.
+ * @ignore
+ */
+function handleServerUniqueMsg(uuid, client_name, iface, message) {
+
+  if (handleHeartbeat.call(this, iface.socket, message)) {
+    return;
+  }
+
+  // Client acknowledges message written to it, it does not need to be written again.
+  if (message.command === COMMAND_ACK) {
+    if (iface.socket._unacked !== undefined) {
+      delete iface.socket._unacked[message.data];
+    }
+
+    return;
+  }
+
+  // Client sends message again, when it has not been acknowledged before connection was lost.
+  if (message.msg_id !== null && isHandledMsg.call(this, message.msg_id)) {
+    writeMsg.call(this, iface.socket, prepareMsg(COMMAND_ACK, message.msg_id));
+
+    return;
+  }
+
+  // Handle deliver command from consumer client to producer client.
+  if (message.command === COMMAND_DELIVER) {
+    if (message.msg_id !== null) {
+      writeMsg.call(this, iface.socket, prepareMsg(COMMAND_ACK, message.msg_id));
+    }
+
+    if (message.delivery !== null && this._delivery_registry[message.delivery] !== undefined) {
+      let requester = this._delivery_registry[message.delivery].requester;
+      writeToClient.call(
+        this, requester, prepareMsg(null, COMMAND_DELIVER, message.data, message.delivery, message.error)
+      );
+      delete this._delivery_registry[message.delivery];
+
+      return;
+    }
+
+    // Handle feedback for delivery requested by server itself.
+    if (message.delivery !== null && this._deliveries[message.delivery] !== undefined) {
+      settleDelivery.call(
+        this, message.delivery, message.data, message.error !== null ? deserializeError(message.error) : null
+      );
+
+      return;
+    }
+
+    // Delivery is not awaited anymore (e.g. requester has gone), it must not be answered again.
+    log.call(this, "warn", "Dropping feedback for unknown delivery.", {delivery: message.delivery});
+
+    return;
+  }
+
+  // Client disconnects on purpose, its session is not to be kept.
+  if (message.command === COMMAND_SHUTDOWN) {
+    iface.is_leaving = true;
+
+    return;
+  }
+
+  // Subscriptions are carried as arrays of topic patterns.
+  if (message.command === COMMAND_SUBSCRIBE || message.command === COMMAND_UNSUBSCRIBE) {
+    updateSubscriptions.call(this, uuid, message.data, message.command === COMMAND_SUBSCRIBE);
+
+    if (message.msg_id !== null) {
+      writeMsg.call(this, iface.socket, prepareMsg(COMMAND_ACK, message.msg_id));
+    }
+
+    return;
+  }
+
+  // Handle custom client command when handler registered.
+  let ret = executeCommandHandlers.call(this, uuid, client_name, iface, message);
+
+  // Message is handed over to handler, client does not need to send it again.
+  if (message.msg_id !== null) {
+    writeMsg.call(this, iface.socket, prepareMsg(COMMAND_ACK, message.msg_id));
+  }
+
+  // When there is delivery id attached, that means that sender wants to be notified with result that is returned.
+  // It is possible, that command handler is not returning anything despite sender asks for delivery.
+  // In such case, we are just to deliver null, but deliverance will be confirmed,
+  // and promise for it will become fulfilled on sender side.
+  settleCommandResult.call(this, message, ret, (feedback, error) => {
+    writeToClient.call(this, client_name, prepareMsg(null, COMMAND_DELIVER, feedback, message.delivery, error));
+  });
+}
+
+/**
+ * On "close" event handler for IpcServer client communication socket.<br>
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Client session is suspended, when it may be resumed, client is released otherwise.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client, if passed into client constructor, otherwise UUDv4/wo dashes.
+ * @param {Socket|null} socket  Socket that has closed. Late close of socket replaced by resumed session is ignored.
+ * @ignore
+ */
+function $onServerUniqueClose(uuid, client_name, socket = null) {
+
+  log.call(this, "info", "SRV UNIQUE CLS", {uuid: uuid, client_name: client_name});
+
+  let iface = this._uuid_registry[uuid];
+
+  // Client may have been released or suspended already, e.g. when it was evicted.
+  if (iface === undefined || iface.name === undefined || iface.suspend_timer) {
+    return;
+  }
+
+  // Socket replaced by resumed session closes late, when resumed session may be waiting for its new socket already.
+  if (socket !== null && iface.socket !== socket) {
+    return;
+  }
+
+  if (iface.heartbeat_timer) {
+    clearInterval(iface.heartbeat_timer);
+    delete iface.heartbeat_timer;
+  }
+
+  if (this._is_started && iface.session !== undefined && !iface.is_leaving) {
+    suspendSession.call(this, uuid, client_name);
+
+    return;
+  }
+
+  releaseClient.call(this, uuid, client_name);
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Forgets client and everything it has been registered for, so its name is free to be taken.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client.
+ * @ignore
+ */
+function releaseClient(uuid, client_name) {
+  let iface = this._uuid_registry[uuid];
+
+  if (iface.suspend_timer) {
+    clearTimeout(iface.suspend_timer);
+    delete iface.suspend_timer;
+  }
+
+  if (iface.session !== undefined) {
+    delete this._sessions[iface.session];
+    delete iface.session;
+  }
+
+  // Messages routed to client, whose socket has been closing, are already in mailbox, but they are the newer ones.
+  let newer_entries = this._mailboxes[client_name] || [];
+
+  delete this._mailboxes[client_name];
+
+  // Messages, that have not been flushed to suspended session, or acknowledged by client,
+  // still may be delivered with mailbox. Requests for feedback may not, as their deliveries are rejected below.
+  (iface.backlog || getUnackedMsgs(iface.socket)).forEach((message) => {
+    if (!isDeliveryRequest(message)) {
+      putToMailbox.call(this, client_name, message);
+    }
+  });
+  newer_entries.forEach((entry) => {
+    putToMailbox.call(this, client_name, entry.message, entry.expires_at);
+  });
+  delete iface.backlog;
+  delete iface.backlog_bytes;
+
+  // Name may be already taken over by another client.
+  if (this._name_registry[client_name] === uuid) {
+    delete this._name_registry[client_name];
+  }
+
+  if (this._known_names[client_name] !== undefined) {
+    this._known_names[client_name] = Date.now();
+  }
+
+  if (this._uuid_registry[uuid].name !== undefined) {
+    delete this._uuid_registry[uuid].name;
+  }
+
+  if (this._uuid_registry[uuid].server !== undefined) {
+    delete this._uuid_registry[uuid].server;
+  }
+
+  if (this._uuid_registry[uuid].socket !== undefined) {
+    delete this._uuid_registry[uuid].socket;
+  }
+
+  // Client will subscribe again after reconnect.
+  updateSubscriptions.call(this, uuid, Object.keys(this._topic_registry), false);
+
+  // Client will join groups again with next handshake.
+  leaveGroups.call(this, client_name, this._uuid_registry[uuid].groups || []);
+  delete this._uuid_registry[uuid].groups;
+
+  // Client will never deliver feedback for requests, that server is waiting for.
+  rejectPeerDeliveries.call(
+    this, client_name, new IpcError(`Client "${client_name}" disconnected.`, E_PEER_DISCONNECTED)
+  );
+  releaseRoutedDeliveries.call(this, client_name);
+
+  notify.call(this, "client_disconnected", {
+    uuid: uuid,
+    name: client_name,
+  });
+}
+
+/**
+ * Returns messages written to client socket, that client has not received for sure, in order they were written.<br>
+ * Those are messages not acknowledged by client, or ones waiting in socket outbox, when client does not acknowledge.
+ * @param {Socket|undefined} socket Client unique socket.
+ * @returns {string[]}
+ * @ignore
+ */
+function getUnackedMsgs(socket) {
+  if (socket === undefined) {
+    return [];
+  }
+
+  if (socket._unacked !== undefined) {
+    return Object.keys(socket._unacked).map((msg_id) => socket._unacked[msg_id]);
+  }
+
+  return socket._outbox !== undefined ? socket._outbox.slice() : [];
+}
+
+/**
+ * Checks if prepared message requests feedback, i.e. it carries delivery id, but is not feedback itself.
+ * @param {string} message  Message prepared with prepareMsg.
+ * @returns {boolean}
+ * @ignore
+ */
+function isDeliveryRequest(message) {
+  let parsed_message = parseMsg(message)[0];
+
+  return parsed_message !== undefined && parsed_message.delivery !== null && parsed_message.command !== COMMAND_DELIVER;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Forgets deliveries between clients, that given client participates in.<br>
+ * Requesters waiting for feedback from given client are sent "peer disconnected" error.
+ * @param {string} client_name  Friendly name of client, that has disconnected.
+ * @ignore
+ */
+function releaseRoutedDeliveries(client_name) {
+  for (let delivery in this._delivery_registry) {
+    let entry = this._delivery_registry[delivery];
+
+    if (entry.recipient === client_name) {
+      let error = new IpcError(`Client "${client_name}" disconnected.`, E_PEER_DISCONNECTED);
+
+      writeToClient.call(
+        this, entry.requester, prepareMsg(null, COMMAND_DELIVER, null, delivery, serializeError(error))
+      );
+    }
+
+    if (entry.recipient === client_name || entry.requester === client_name) {
+      delete this._delivery_registry[delivery];
+    }
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Keeps client, that has lost connection, registered for session grace time, so it may resume its session.<br>
+ * Messages written to client meanwhile are kept in session backlog, including ones, that were waiting in socket outbox,
+ * or have not been acknowledged by client.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client.
+ * @ignore
+ */
+function suspendSession(uuid, client_name) {
+
+  log.call(this, "info", "Suspending client session.", {
+    uuid: uuid,
+    client_name: client_name,
+    timeout: this._session_grace,
+  });
+
+  let iface = this._uuid_registry[uuid];
+  let unacked = getUnackedMsgs(iface.socket);
+
+  delete iface.server;
+  delete iface.socket;
+  delete iface.is_leaving;
+
+  iface.backlog = unacked;
+  iface.backlog_bytes = unacked.reduce((bytes, message) => bytes + Buffer.byteLength(message), 0);
+  iface.suspend_timer = setTimeout(() => {
+
+    log.call(this, "info", "Client session has not been resumed, releasing client.", {
+      uuid: uuid,
+      client_name: client_name,
+    });
+
+    releaseClient.call(this, uuid, client_name);
+  }, this._session_grace);
+
+  notify.call(this, "client_suspended", {
+    uuid: uuid,
+    name: client_name,
+  });
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Looks up session, that client handshaking with given token may resume.
+ * @param {string|null|undefined} session Session token sent with handshake.
+ * @returns {string|null}                 Unique id of channel of session, null if there is no such session.
+ * @ignore
+ */
+function getResumableSession(session) {
+  if (typeof session !== "string" || this._sessions[session] === undefined) {
+    return null;
+  }
+
+  return this._sessions[session];
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Prepares session for client, that handshakes again, to connect its new unique socket.<br>
+ * Session may still be active, when server has not noticed yet, that its previous socket is dead.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client.
+ * @ignore
+ */
+function resumeSession(uuid, client_name) {
+
+  log.call(this, "info", "Resuming client session.", {uuid: uuid, client_name: client_name});
+
+  let iface = this._uuid_registry[uuid];
+
+  if (iface.socket instanceof net.Socket) {
+    let socket = iface.socket;
+
+    $onServerUniqueClose.call(this, uuid, client_name, socket);
+    socket.destroy();
+  }
+
+  if (iface.server instanceof net.Server && iface.server.listening) {
+    iface.server.close();
+  }
+
+  clearTimeout(iface.suspend_timer);
+  delete iface.suspend_timer;
+
+  iface.is_resumed = true;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Checks if client with given friendly name has suspended session.
+ * @param {string} client_name  Friendly name of client.
+ * @returns {object|null}       Registry entry of client, if its session is suspended.
+ * @ignore
+ */
+function getSuspendedClient(client_name) {
+  let iface = this._uuid_registry[this._name_registry[client_name]];
+
+  return iface !== undefined && iface.suspend_timer ? iface : null;
+}
+
+/**
+ * On "error" event handler for IpcServer client communication socket.
+ * @param error
+ * @ignore
+ */
+function $onServerUniqueError(error) {
+
+  log.call(this, "error", "SRV UNIQUE ERR", {error: error});
+
+  notify.call(this, "error", error);
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Adds client to or removes client from subscribers of given topic patterns.
+ * @param {string} uuid           Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string[]} patterns     Topic patterns.
+ * @param {boolean} is_subscribed True to subscribe, false to unsubscribe.
+ * @ignore
+ */
+function updateSubscriptions(uuid, patterns, is_subscribed) {
+
+  log.call(this, "debug", is_subscribed ? "SRV SUBSCRIBE" : "SRV UNSUBSCRIBE", {uuid: uuid, topics: patterns});
+
+  if (!Array.isArray(patterns)) {
+    return;
+  }
+
+  patterns.forEach((pattern) => {
+    if (is_subscribed) {
+      if (this._topic_registry[pattern] === undefined) {
+        this._topic_registry[pattern] = {};
+      }
+      this._topic_registry[pattern][uuid] = true;
+
+      return;
+    }
+
+    if (this._topic_registry[pattern] !== undefined) {
+      delete this._topic_registry[pattern][uuid];
+
+      if (!Object.keys(this._topic_registry[pattern]).length) {
+        delete this._topic_registry[pattern];
+      }
+    }
+  });
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Checks if peer message of given id has been handled within deduplication window, and remembers it otherwise.
+ * @param {string} msg_id Message id.
+ * @returns {boolean}
+ * @ignore
+ */
+function isHandledMsg(msg_id) {
+  let now = Date.now();
+
+  // Ids are remembered in order of handling, so the oldest ones are at the beginning.
+  for (let handled_msg_id in this._handled_msgs) {
+    if (this._handled_msgs[handled_msg_id] > now - this._dedup_window) {
+      break;
+    }
+    delete this._handled_msgs[handled_msg_id];
+  }
+
+  if (this._handled_msgs[msg_id] !== undefined) {
+    log.call(this, "warn", "Skipping message, it has been handled already.", {msg_id: msg_id});
+
+    return true;
+  }
+
+  this._handled_msgs[msg_id] = now;
+
+  return false;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Adds client to members of given groups.
+ * @param {string} client_name  Friendly name of client.
+ * @param {string[]} groups     Names of groups.
+ * @ignore
+ */
+function joinGroups(client_name, groups) {
+  groups.forEach((group) => {
+    if (this._group_registry[group] === undefined) {
+      this._group_registry[group] = [];
+    }
+
+    if (this._group_registry[group].indexOf(client_name) === -1) {
+      this._group_registry[group].push(client_name);
+    }
+  });
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Removes client from members of given groups.
+ * @param {string} client_name  Friendly name of client.
+ * @param {string[]} groups     Names of groups.
+ * @ignore
+ */
+function leaveGroups(client_name, groups) {
+  groups.forEach((group) => {
+    if (this._group_registry[group] === undefined || this._group_registry[group].indexOf(client_name) === -1) {
+      return;
+    }
+
+    this._group_registry[group].splice(this._group_registry[group].indexOf(client_name), 1);
+
+    if (!this._group_registry[group].length) {
+      delete this._group_registry[group];
+      delete this._group_cursors[group];
+    }
+  });
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Picks connected member of group with given strategy.
+ * @param {string} group            Name of group.
+ * @param {group_options} options   Options determining strategy.
+ * @param {string[]} excluded       Friendly names of members, that must not be picked (e.g. already tried).
+ * @returns {string|null}           Friendly name of member, null when there is no member to pick.
+ * @ignore
+ */
+function pickGroupMember(group, options, excluded = []) {
+  let strategy = options.strategy || this._group_strategy;
+  let members = (this._group_registry[group] || []).filter((client_name) => {
+    return excluded.indexOf(client_name) === -1 && getClientSocket.call(this, client_name) !== null;
+  });
+
+  if (!members.length) {
+    return null;
+  }
+
+  if (strategy === GROUP_STRATEGY_HASH) {
+    if (options.key === undefined || options.key === null) {
+      throw new Error("Option \"key\" is required by \"hash\" group strategy.");
+    }
+
+    // Rendezvous hashing, only keys of member that has left are moved to other members.
+    let weigh = (client_name) => crypto.createHash("md5").update(`${options.key}:${client_name}`).digest("hex");
+
+    return members.reduce((picked, client_name) => weigh(client_name) > weigh(picked) ? client_name : picked);
+  }
+
+  let cursor = this._group_cursors[group] || 0;
+  this._group_cursors[group] = cursor + 1;
+
+  // Members are rotated, so ties of least pending strategy are picked in turns as well.
+  members = members.slice(cursor % members.length).concat(members.slice(0, cursor % members.length));
+
+  if (strategy === GROUP_STRATEGY_LEAST_PENDING) {
+    let pending = {};
+
+    members.forEach((client_name) => {
+      pending[client_name] = 0;
+    });
+
+    for (let delivery in this._deliveries) {
+      if (pending[this._deliveries[delivery].peer] !== undefined) {
+        pending[this._deliveries[delivery].peer]++;
+      }
+    }
+
+    return members.reduce((picked, client_name) => pending[client_name] < pending[picked] ? client_name : picked);
+  }
+
+  return members[0];
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Writes message, that client has requested to be emitted to group, to single member picked with given strategy.
+ * @param {string} group            Name of group.
+ * @param {string|null} command     Command description.
+ * @param {*} data                  Data carried by message.
+ * @param {group_options} options   Options determining strategy.
+ * @throws {IpcError}               When group has no connected members, or message has been dropped,
+ *                                  as member does not keep up with reading.
+ * @throws {Error}                  When "hash" strategy is missing its key.
+ * @ignore
+ */
+function emitToGroup(group, command, data, options) {
+  let client_name = pickGroupMember.call(this, group, options);
+
+  if (client_name === null) {
+    throw new IpcError(`Group "${group}" has no connected members.`, E_RECIPIENT_UNKNOWN);
+  }
+
+  if (!writeToClient.call(this, client_name, prepareMsg(null, command, data))) {
+    throw new IpcError(`Message to client "${client_name}" has been dropped.`, E_QUEUE_FULL);
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Releases client holding given name, so other client can take it over.<br>
+ * Evicted client is notified with error, so it does not attempt to reconnect and take name back.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client.
+ * @ignore
+ */
+function evictClient(uuid, client_name) {
+
+  log.call(this, "warn", "Evicting client, its name is being taken over.", {uuid: uuid, client_name: client_name});
+
+  let iface = this._uuid_registry[uuid];
+  let sockets = [iface.socket, (bcast_registry[this._domain] || {})[uuid]];
+  let server = iface.server;
+
+  // Multiplexed connection is both of them.
+  if (sockets[0] === sockets[1]) {
+    sockets.pop();
+  }
+
+  if (iface.heartbeat_timer) {
+    clearInterval(iface.heartbeat_timer);
+    delete iface.heartbeat_timer;
+  }
+
+  // Release immediately, as sockets are closed asynchronously. Evicted client has no session to resume.
+  releaseClient.call(this, uuid, client_name);
+
+  sockets.forEach((socket) => {
+    if (socket instanceof net.Socket && socket.writable) {
+      writeMsg.call(this, socket, prepareMsg(client_name, COMMAND_ERROR, E_CLIENT_EVICTED));
+      socket.end();
+    }
+  });
+
+  if (server instanceof net.Server && server.listening) {
+    server.close();
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Returns given name suffixed with first number, that makes it not taken.
+ * @param {string} client_name  Friendly name of client.
+ * @returns {string}
+ * @ignore
+ */
+function getFreeClientName(client_name) {
+  let suffix = 2;
+
+  while (this._name_registry[`${client_name}_${suffix}`] !== undefined) {
+    suffix++;
+  }
+
+  return `${client_name}_${suffix}`;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Looks up unique socket of client with given friendly name.
+ * @param {string} client_name  Friendly name of client.
+ * @returns {Socket|null}       Socket, if client is connected and its socket is writable.
+ * @ignore
+ */
+function getClientSocket(client_name) {
+  if (
+    client_name in this._name_registry && // We have such friendly name,
+    typeof this._name_registry[client_name] === "string" && // really a name,
+    this._name_registry[client_name] in this._uuid_registry && // which uuid exists in registry,
+    this._uuid_registry[this._name_registry[client_name]].socket instanceof net.Socket && // being socket,
+    this._uuid_registry[this._name_registry[client_name]].socket.writable // that is writable.
+  ) {
+    return this._uuid_registry[this._name_registry[client_name]].socket;
+  }
+
+  return null;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Writes already prepared message to client with given friendly name, if it is connected.<br>
+ * Otherwise message is put to backlog of suspended client session,
+ * or to client mailbox, if mailboxes are enabled and client has been connected before.
+ * @param {string} client_name  Friendly name of client.
+ * @param {string} message      Message prepared with prepareMsg.
+ * @returns {boolean}           False, if client is not connected and message could not be put to its mailbox.
+ * @ignore
+ */
+function writeToClient(client_name, message) {
+  let socket = getClientSocket.call(this, client_name);
+  let suspended = socket === null ? getSuspendedClient.call(this, client_name) : null;
+
+  if (suspended !== null) {
+    let bytes = Buffer.byteLength(message);
+
+    if (this._max_pending_bytes && suspended.backlog_bytes + bytes > this._max_pending_bytes) {
+      log.call(this, "warn", "Dropping message, client session backlog is full.", {
+        client_name: client_name,
+        bytes: bytes,
+      });
+
+      notify.call(this, "message_dropped", {
+        name: client_name,
+        bytes: bytes,
+      });
+
+      return false;
+    }
+
+    suspended.backlog.push(message);
+    suspended.backlog_bytes += bytes;
+
+    return true;
+  }
+
+  if (socket === null) {
+    return putToMailbox.call(this, client_name, message);
+  }
+
+  return writeToSocket.call(this, socket, client_name, message);
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Writes already prepared message to client unique socket, respecting its backpressure.<br>
+ * When socket buffer is full, messages wait in socket outbox until socket is drained.
+ * Message is dropped, when bytes pending for client would exceed max_pending_bytes.<br>
+ * Message written to client, that acknowledges messages, is tagged with message id and kept until it is acknowledged.
+ * @param {Socket} socket       Client unique socket.
+ * @param {string} client_name  Friendly name of client.
+ * @param {string} message      Message prepared with prepareMsg.
+ * @returns {boolean}           False, if message was dropped.
+ * @ignore
+ */
+function writeToSocket(socket, client_name, message) {
+  if (socket._outbox === undefined) {
+    socket._outbox = [];
+    socket._outbox_bytes = 0;
+  }
+
+  // Message written again, e.g. from session backlog or mailbox, keeps its id, so client may skip it.
+  let msg_id = socket._unacked !== undefined ? getMsgId(message) : null;
+
+  if (socket._unacked !== undefined && msg_id === null) {
+    msg_id = uuidV4().replace(/-/g, "");
+    message = tagMsg(message, msg_id);
+  }
+
+  let bytes = Buffer.byteLength(message);
+
+  if (this._max_pending_bytes && socket.writableLength + socket._outbox_bytes + bytes > this._max_pending_bytes) {
+    log.call(this, "warn", "Dropping message, client does not keep up with reading.", {
+      client_name: client_name,
+      bytes: bytes,
+    });
+
+    notify.call(this, "message_dropped", {
+      name: client_name,
+      bytes: bytes,
+    });
+
+    return false;
+  }
+
+  if (msg_id !== null) {
+    socket._unacked[msg_id] = message;
+  }
+
+  // Socket buffer is full, message waits until socket is drained.
+  if (socket._is_draining) {
+    socket._outbox.push(message);
+    socket._outbox_bytes += bytes;
+
+    return true;
+  }
+
+  if (!writeMsg.call(this, socket, message)) {
+    socket._is_draining = true;
+    socket.once("drain", drainOutbox.bind(this, socket));
+  }
+
+  return true;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * On "drain" event handler for client unique socket. Writes messages waiting in socket outbox,
+ * until socket buffer is full again.
+ * @param {Socket} socket Client unique socket.
+ * @ignore
+ */
+function drainOutbox(socket) {
+  socket._is_draining = false;
+
+  while (socket._outbox.length && socket.writable) {
+    let message = socket._outbox.shift();
+    socket._outbox_bytes -= Buffer.byteLength(message);
+
+    if (!writeMsg.call(this, socket, message)) {
+      socket._is_draining = true;
+      socket.once("drain", drainOutbox.bind(this, socket));
+
+      return;
+    }
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Checks if message written to client with given friendly name would reach it, immediately,
+ * after client resumes its session, or from mailbox.
+ * @param {string} client_name  Friendly name of client.
+ * @returns {boolean}
+ * @ignore
+ */
+function isClientReachable(client_name) {
+  return getClientSocket.call(this, client_name) !== null ||
+    getSuspendedClient.call(this, client_name) !== null ||
+    (this._mailbox !== null && this._known_names[client_name] !== undefined);
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Drops expired messages of all mailboxes, and empty mailboxes. Forgets clients, that have been offline
+ * for longer than mailbox ttl, so no messages are buffered for them anymore.
+ * @ignore
+ */
+function sweepMailboxes() {
+  let expired_at = Date.now() - this._mailbox.ttl;
+
+  for (let client_name in this._mailboxes) {
+    pruneMailbox.call(this, client_name);
+
+    if (!this._mailboxes[client_name].length) {
+      delete this._mailboxes[client_name];
+    }
+  }
+
+  for (let client_name in this._known_names) {
+    if (
+      this._name_registry[client_name] === undefined &&
+      this._mailboxes[client_name] === undefined &&
+      this._known_names[client_name] <= expired_at
+    ) {
+      delete this._known_names[client_name];
+    }
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Drops messages, that are buffered in client mailbox for longer than mailbox ttl.
+ * @param {string} client_name  Friendly name of client.
+ * @ignore
+ */
+function pruneMailbox(client_name) {
+  let now = Date.now();
+
+  if (this._mailboxes[client_name] === undefined || !this._mailbox.ttl) {
+    return;
+  }
+
+  this._mailboxes[client_name] = this._mailboxes[client_name].filter((entry) => entry.expires_at > now);
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Buffers message for offline client, if mailboxes are enabled and client has been connected before.<br>
+ * The oldest message is dropped, when mailbox is full.
+ * @param {string} client_name        Friendly name of client.
+ * @param {string} message            Message prepared with prepareMsg.
+ * @param {number|null} [expires_at]  Expiration timestamp of message, that is put to mailbox again, null for new one.
+ * @returns {boolean}                 False, if message could not be put to mailbox.
+ * @ignore
+ */
+function putToMailbox(client_name, message, expires_at = null) {
+  if (this._mailbox === null || this._known_names[client_name] === undefined) {
+    return false;
+  }
+
+  if (this._mailboxes[client_name] === undefined) {
+    this._mailboxes[client_name] = [];
+  }
+
+  pruneMailbox.call(this, client_name);
+
+  if (this._mailboxes[client_name].length >= this._mailbox.max_messages) {
+    log.call(this, "warn", "Client mailbox is full, dropping the oldest message.", {client_name: client_name});
+    this._mailboxes[client_name].shift();
+  }
+
+  this._mailboxes[client_name].push({
+    message: message,
+    expires_at: expires_at !== null ? expires_at : Date.now() + this._mailbox.ttl,
+  });
+
+  return true;
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Writes messages buffered in client mailbox to client, that has just connected.
+ * @param {string} client_name  Friendly name of client.
+ * @param {Socket} socket       Client unique socket.
+ * @ignore
+ */
+function flushMailbox(client_name, socket) {
+  if (this._mailboxes[client_name] === undefined) {
+    return;
+  }
+
+  pruneMailbox.call(this, client_name);
+
+  log.call(this, "info", "Flushing client mailbox.", {
+    client_name: client_name,
+    messages: this._mailboxes[client_name].length,
+  });
+
+  this._mailboxes[client_name].forEach((entry) => {
+    writeToSocket.call(this, socket, client_name, entry.message);
+  });
+
+  delete this._mailboxes[client_name];
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Validates transport options and sets them up.
+ * @param {object} options Constructor options.
+ * @throws Error If transport is unknown or "tcp" transport misses port.
+ * @ignore
+ */
+function setupTransport(options) {
+  this._transport = options.transport || TRANSPORT_UNIX;
+  this._host = options.host || TCP_HOST_DEFAULT;
+  this._port = options.port === undefined ? null : options.port;
+
+  if ([TRANSPORT_UNIX, TRANSPORT_TCP].indexOf(this._transport) === -1) {
+    throw new Error(`Unknown transport "${this._transport}".`);
+  }
+
+  if (this._transport === TRANSPORT_TCP && !Number.isInteger(this._port)) {
+    throw new Error("Option \"port\" is required by \"tcp\" transport.");
+  }
+}
+
+/**
+ * Returns path of domain socket. Path in Linux abstract namespace starts with NUL byte.
+ * @param {string} domain   Domain name.
+ * @param {object} options  Constructor options.
+ * @returns {string}
+ * @throws Error If abstract namespace is requested on platform other than Linux, or on Node.js before 20.
+ * @ignore
+ */
+function getDomainSocketPath(domain, options) {
+  let socket_dir = options.socket_dir || SOCKET_DIR_DEFAULT;
+  let socket_path = options.path || path.join(socket_dir, `${SOCKET_FILE_PREFIX}.${domain}`);
+
+  if (options.abstract === true) {
+    if (process.platform !== "linux") {
+      throw new Error("Abstract namespace sockets are supported on Linux only.");
+    }
+
+    // Older versions cut path at NUL byte, so all sockets would share the same empty name.
+    if (Number(process.versions.node.split(".")[0]) < ABSTRACT_NODE_VERSION_MIN) {
+      throw new Error(`Abstract namespace sockets require Node.js ${ABSTRACT_NODE_VERSION_MIN} or later.`);
+    }
+
+    return `\0${socket_path}`;
+  }
+
+  return socket_path;
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Checks if sockets are backed by files, that is unix domain sockets outside of abstract namespace.
+ * @returns {boolean}
+ * @ignore
+ */
+function hasSocketFiles() {
+  return this._transport === TRANSPORT_UNIX && this._bcast_path[0] !== "\0";
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Makes server listen on given address. When permissions are passed with constructor options, socket file is created
+ * accessible to its owner only, and permissions are applied before callback is called, so no one can connect
+ * in the meantime.
+ * @param {net.Server} server   Server to listen.
+ * @param {object} address      Address of socket, as returned by getBcastAddress or getUniqueAddress.
+ * @param {function} callback   Called once server listens, with error if permissions could not be applied.
+ * @ignore
+ */
+function listenSocket(server, address, callback) {
+  if (this._permissions === null || !hasSocketFiles.call(this)) {
+    server.listen(address, () => callback(null));
+
+    return;
+  }
+
+  let umask;
+
+  // Socket file is created synchronously, so umask is restored before anything else runs.
+  try {
+    umask = process.umask(SOCKET_UMASK_RESTRICTED);
+  }
+
+  // Worker threads can not change umask, permissions are applied right after socket file is created then.
+  catch (e) {
+    log.call(this, "warn", "Could not restrict socket file mode while it is created.", {path: address.path, error: e});
+
+    server.listen(address, () => callback(applySocketPermissions.call(this, address.path, null)));
+
+    return;
+  }
+
+  try {
+    server.listen(address, () => callback(applySocketPermissions.call(this, address.path, 0o777 & ~umask)));
+  }
+  finally {
+    process.umask(umask);
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Applies permissions passed with constructor options to socket file, that server has created.
+ * Owner and group are changed first, so mode is never granted to previous ones.
+ * @param {string} socket_path        Path of socket file.
+ * @param {number|null} default_mode  Mode of socket file, when permissions do not set it,
+ *                                    null keeps mode, that socket file has been created with.
+ * @returns {Error|null}              Error, if permissions could not be applied.
+ * @ignore
+ */
+function applySocketPermissions(socket_path, default_mode) {
+  let permissions = this._permissions;
+  let mode = typeof permissions.mode === "string" ? parseInt(permissions.mode, 8) : permissions.mode;
+
+  try {
+    // Owner or group, that is not passed, is kept. Older Node.js versions do not take -1 for it.
+    if (permissions.owner !== undefined || permissions.group !== undefined) {
+      let stats = fs.statSync(socket_path);
+
+      fs.chownSync(
+        socket_path,
+        permissions.owner === undefined ? stats.uid : permissions.owner,
+        permissions.group === undefined ? stats.gid : permissions.group
+      );
+    }
+
+    if (mode !== undefined || default_mode !== null) {
+      fs.chmodSync(socket_path, mode === undefined ? default_mode : mode);
+    }
+  }
+  catch (e) {
+    log.call(this, "error", "Could not apply socket permissions.", {path: socket_path, error: e});
+
+    return e;
+  }
+
+  return null;
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Returns address of handshaking/broadcast socket, that can be passed to net.Server#listen or net.Socket#connect.
+ * @returns {object} Object with unix socket path, or with host and port of "tcp" transport.
+ * @ignore
+ */
+function getBcastAddress() {
+  if (this._transport === TRANSPORT_TCP) {
+    return {host: this._host, port: this._port};
+  }
+
+  return {path: this._bcast_path};
+}
+
+/**
+ * Always called with "this" bound to either IpcServer or IpcClient instance.<br>
+ * Returns address of unique socket used for 1 to 1 communication of client with server.<br>
+ * With "tcp" transport, server listens on ephemeral port and client connects to port received with handshake.
+ * @param {string} uuid       Unique id of channel.
+ * @param {number|null} port  Port of "tcp" transport channel, 0 lets system pick free one.
+ * @returns {object} Object with unix socket path, or with host and port of "tcp" transport.
+ * @ignore
+ */
+function getUniqueAddress(uuid, port) {
+  if (this._transport === TRANSPORT_TCP) {
+    return {host: this._host, port: port};
+  }
+
+  return {path: `${this._bcast_path}.${uuid}`};
+}
+
+/**
+ * Returns promise for socket being closed. Already destroyed socket is considered closed.
+ * @param {Socket} socket
+ * @returns {Promise}
+ * @ignore
+ */
+function whenSocketClosed(socket) {
+  return new Promise((resolve) => {
+    if (socket.destroyed) {
+      resolve();
+    }
+    else {
+      socket.once("close", resolve);
+    }
+  });
+}
+
+/**
+ * Stops server from accepting new connections and returns promise for server being closed.<br>
+ * Server that is not listening is considered closed.
+ * @param {Server} server
+ * @returns {Promise}
+ * @ignore
+ */
+function whenServerClosed(server) {
+  return new Promise((resolve) => {
+    if (!server.listening) {
+      resolve();
+    }
+    else {
+      server.close(() => resolve());
+    }
+  });
+}
+
+/**
+ * Always called with "this" bound to IpcServer instance.<br>
+ * Checks socket file, that domain socket is to be created as. File of server, that is alive, is kept and domain
+ * is refused, while stale file, that no server listens on, is removed.
+ * @returns {Promise} Fulfilled when server may listen on domain socket path.
+ * @ignore
+ */
+function claimDomainSocket() {
+  if (!hasSocketFiles.call(this) || !fs.existsSync(this._bcast_path)) {
+    return Promise.resolve();
+  }
+
+  if (!fs.statSync(this._bcast_path).isSocket()) {
+    return Promise.reject(new Error(`Domain socket path ${this._bcast_path} is taken by file, that is not a socket.`));
+  }
+
+  return new Promise((resolve, reject) => {
+    let socket = net.connect(this._bcast_path);
+
+    socket.on("connect", () => {
+      socket.destroy();
+      reject(new IpcError(`Server for domain ${this._domain} is already running.`, E_DOMAIN_TAKEN));
+    });
+
+    socket.on("error", (error) => {
+      if (error.code !== "ECONNREFUSED") {
+        reject(error);
+
+        return;
+      }
+
+      log.call(this, "warn", "Removing stale domain socket file.", {path: this._bcast_path});
+
+      try {
+        fs.unlinkSync(this._bcast_path);
+        resolve();
+      }
+      catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+/**
+ * @classdesc Inter-Process-Communication Server
+ * @alias module:ipcIO.Server
+ */
+class IpcServer {
+  /**
    * Creates new instance of ipcIO Server.
    * @example
    * ```js
    * const exampleServer = new ipcio.Server({
-   *     verbose: true,             // Determines if actions are reported to console,
-   *     domain: "example_domain",  // domain name,
-   *     encoding: "utf8",          // message encoding.
+   *     verbose: true,             // Determines if actions are reported to console,
+   *     domain: "example_domain",  // domain name,
+   *     encoding: "utf8",          // message encoding.
+   *   },
+   *   {
+   *     example_request_command: (container) => { // {command: function(container)}
+   *
+   *       // @typedef {object} container
+   *       // @property {string} data        Message data
+   *       // @property {string} client_name Friendly name of client/uuid if name not set.
+   *       // @property {Socket} socket      Instance of net.Socket
+   *       // @property {Server} server      Instance of net.Server
+   *
+   *       // Do handler logic here.
+   *     },
+   *   })
+   * ;
+   * ```
+   * @constructor
+   * @param {server_constructor_options} options    Determines operating properties and behavior.
+   * @param {handler_collection} handler_collection Handlers to be registered at construction time.
+   */
+  constructor(options = {}, handler_collection = {}) {
+    /**
+     * When true, will feed the console.
+     * @type {boolean}
+     */
+    this.verbose = options.verbose || false;
+
+    /**
+     * Logger, that diagnostics are written to.
+     * @type {logger}
+     * @private
+     */
+    this._logger = options.logger || new ConsoleLogger();
+
+    if (["debug", "info", "warn", "error"].some((level) => typeof this._logger[level] !== "function")) {
+      throw new Error("Logger must have \"debug\", \"info\", \"warn\" and \"error\" methods.");
+    }
+
+    /**
+     * Minimal level of logged entries, null means it depends on verbose property.
+     * @type {string|null}
+     * @private
+     */
+    this._log_level = options.log_level || null;
+
+    if (this._log_level !== null && LOG_LEVELS.indexOf(this._log_level) === -1) {
+      throw new Error(`Unknown log level "${this._log_level}".`);
+    }
+
+    /**
+     * Emitter of lifecycle events. Not inherited, as IpcServer#emit is a messaging method.
+     * @type {EventEmitter}
+     * @private
+     */
+    this._emitter = new EventEmitter();
+
+    /**
+     * Registry of client friendly name <=> uuid pairs.
+     * @type {object}
+     * @private
+     */
+    this._name_registry = {};
+
+    /**
+     * Registry of interfaces (server and its sockets), keyed by client uuids.
+     * @type {object}
+     * @private
+     */
+    this._uuid_registry = {};
+
+    /**
+     * Registry of deliveries routed between clients, keyed by delivery ids.<br>
+     * Each entry holds friendly names of requester and recipient.
+     * @type {object}
+     * @private
+     */
+    this._delivery_registry = {};
+
+    /**
+     * Registry of topic subscribers, keyed by topic patterns, then by client uuids.
+     * @type {object}
+     * @private
+     */
+    this._topic_registry = {};
+
+    /**
+     * Registry of group members friendly names, keyed by group names.
+     * @type {object}
+     * @private
+     */
+    this._group_registry = {};
+
+    /**
+     * Round-robin counters, keyed by group names.
+     * @type {object}
+     * @private
+     */
+    this._group_cursors = {};
+
+    /**
+     * Mailbox options, null when mailboxes are disabled.
+     * @type {null|mailbox_options}
+     * @private
+     */
+    this._mailbox = options.mailbox ? Object.assign({}, MAILBOX_DEFAULTS, options.mailbox) : null;
+
+    /**
+     * Messages buffered for offline clients, keyed by client names.
+     * @type {object}
+     * @private
+     */
+    this._mailboxes = {};
+
+    /**
+     * Times in ms, when clients have been connected last, keyed by their friendly names. Only those have mailboxes.
+     * Clients offline for longer than mailbox ttl are forgotten.
+     * @type {object}
+     * @private
+     */
+    this._known_names = {};
+
+    /**
+     * Interval timer dropping expired mailbox messages and forgetting clients, that have been offline for too long.
+     * @type {null|Timeout}
+     * @private
+     */
+    this._mailbox_timer = null;
+
+    /**
+     * Collection of delivery promise settle functions and timeout handlers, for deliveries requested by server,
+     * keyed by delivery id.
+     * @type {object}
+     * @private
+     */
+    this._deliveries = {};
+
+    /**
+     * Default time in ms after which delivery promise is rejected, 0 means no timeout.
+     * @type {number}
+     * @private
+     */
+    this._delivery_timeout = options.delivery_timeout || DELIVERY_TIMEOUT_DEFAULT;
+
+    /**
+     * Policy applied when client handshakes with name that is already taken.
+     * @type {string}
+     * @private
+     */
+    this._name_conflict = options.name_conflict || NAME_CONFLICT_REJECT;
+
+    if ([NAME_CONFLICT_REJECT, NAME_CONFLICT_EVICT, NAME_CONFLICT_SUFFIX].indexOf(this._name_conflict) === -1) {
+      throw new Error(`Unknown name conflict policy "${this._name_conflict}".`);
+    }
+
+    /**
+     * Heartbeat options, null when heartbeat is disabled.
+     * @type {null|heartbeat_options}
+     * @private
+     */
+    this._heartbeat = options.heartbeat ? Object.assign({}, HEARTBEAT_DEFAULTS, options.heartbeat) : null;
+
+    /**
+     * Time in ms for which session of client, that has lost connection, is kept, 0 means sessions are not kept.
+     * @type {number}
+     * @private
+     */
+    this._session_grace = options.session_grace || 0;
+
+    /**
+     * Shared secret, or secrets keyed by client names, null when clients are not authenticated.
+     * @type {null|string|object}
+     * @private
+     */
+    this._secret = options.secret || null;
+
+    /**
+     * Unique ids of client channels, keyed by session tokens.
+     * @type {object}
+     * @private
+     */
+    this._sessions = {};
+
+    /**
+     * Maximum number of bytes waiting to be written to single client socket, 0 means no limit.
+     * @type {number}
+     * @private
+     */
+    this._max_pending_bytes = options.max_pending_bytes || 0;
+
+    /**
+     * Time in ms for which ids of handled client messages are remembered.
+     * @type {number}
+     * @private
+     */
+    this._dedup_window = options.dedup_window || DEDUP_WINDOW_DEFAULT;
+
+    /**
+     * Timestamps of handling client messages, keyed by message ids.
+     * @type {object}
+     * @private
+     */
+    this._handled_msgs = {};
+
+    /**
+     * Default strategy of picking group member.
+     * @type {string}
+     * @private
+     */
+    this._group_strategy = options.group_strategy || GROUP_STRATEGY_ROUND_ROBIN;
+
+    let group_strategies = [GROUP_STRATEGY_ROUND_ROBIN, GROUP_STRATEGY_LEAST_PENDING, GROUP_STRATEGY_HASH];
+
+    if (group_strategies.indexOf(this._group_strategy) === -1) {
+      throw new Error(`Unknown group strategy "${this._group_strategy}".`);
+    }
+
+    /**
+     * Message encoding
+     * @type {string}
+     * @private
+     */
+    this._encoding = options.encoding || "utf8";
+
+    /**
+     * Server broadcast domain
+     * @type {string}
+     * @private
+     */
+    this._domain = options.domain || DOMAIN_DEFAULT;
+
+    /**
+     * Path to unix socket file handler, starting with NUL byte in abstract namespace.
+     * @type {string}
+     * @private
+     */
+    this._bcast_path = getDomainSocketPath(this._domain, options);
+
+    setupTransport.call(this, options);
+
+    /**
+     * Permissions applied to created socket files, null when defaults are kept.
+     * @type {null|socket_permissions_options}
+     * @private
+     */
+    this._permissions = options.permissions || null;
+
+    /**
+     * Broadcast domain server, used for handshaking and message broadcasting.
+     * @type {null|Server}
+     * @private
+     */
+    this._bcastServer = null;
+
+    /**
+     * Indicated if sever is already started.
+     * @type {boolean}
+     * @private
+     */
+    this._is_started = false;
+
+    /**
+     * Indicates if server is checking domain socket or is about to listen.
+     * @type {boolean}
+     * @private
+     */
+    this._is_starting = false;
+
+    /**
+     * Time server has started at, null when it is not started.
+     * @type {number|null}
+     * @private
+     */
+    this._started_at = null;
+
+    /**
+     * Counters of messages, bytes and handler durations.
+     * @type {object}
+     * @private
+     */
+    this._stats = createStats();
+
+    /**
+     * Collection of command handlers, passed to constructor or addHandler method.
+     * @type {object}
+     * @private
+     */
+    this._command_handlers = {};
+
+    // If collection of handlers is passed as second argument, add it immediately.
+    if (handler_collection) {
+      this.addHandlers(handler_collection);
+    }
+  }
+
+  /**
+   * Checks if server is started.
+   * @returns {boolean} True when server is started via IpcIO.Server#start() call.
+   */
+  isStarted() {
+    return this._is_started;
+  }
+
+  /**
+   * Adds listener of lifecycle event. Available events:<br>
+   * "listening" ({domain, path} or {domain, host, port} of "tcp" transport) - server is ready to accept clients,<br>
+   * "client_connected" ({uuid, name}) - client has completed handshake,<br>
+   * "client_disconnected" ({uuid, name}) - client socket has been closed,<br>
+   * "message_dropped" ({name, bytes}) - message has been dropped, as client does not keep up with reading,<br>
+   * "heartbeat_timeout" ({uuid, name}) - client has not answered pings and is disconnected,<br>
+   * "client_suspended" ({uuid, name}) - client has lost connection, its session is kept for session grace time,<br>
+   * "client_resumed" ({uuid, name}) - client has reconnected within session grace time and resumed its session,<br>
+   * "handshake_rejected" ({uuid, name, code}) - client handshake has been rejected,<br>
+   * "error" (Error) - socket error occurred.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * exampleServer.on("client_connected", (client) => {
+   *   console.log(`Client ${client.name} has connected.`);
+   * });
+   * ```
+   * @param {string} event      Event name.
+   * @param {function} listener Function called with event payload.
+   * @returns {module:ipcIO.IpcServer}
+   */
+  on(event, listener) {
+    this._emitter.on(event, listener);
+
+    return this;
+  }
+
+  /**
+   * Adds listener of lifecycle event, that is called only once. See IpcIO.Server#on for available events.
+   * @param {string} event      Event name.
+   * @param {function} listener Function called with event payload.
+   * @returns {module:ipcIO.IpcServer}
+   */
+  once(event, listener) {
+    this._emitter.once(event, listener);
+
+    return this;
+  }
+
+  /**
+   * Removes listener of lifecycle event.
+   * @param {string} event      Event name.
+   * @param {function} listener Function previously added.
+   * @returns {module:ipcIO.IpcServer}
+   */
+  off(event, listener) {
+    this._emitter.removeListener(event, listener);
+
+    return this;
+  }
+
+  /**
+   * Starts IpcServer instance.<br>
+   * Socket file left by other server is removed only when it is stale. When other server of the domain is alive,
+   * returned promise is rejected with E_DOMAIN_TAKEN error code, and its socket is left untouched.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * exampleServer
+   *   .start()
+   *   .then(() => {
+   *     // Do something when server listens.
+   *   })
+   *   .catch((error) => {
+   *     // Domain is taken by other server, or listening has failed, e.g. with EACCES.
+   *   })
+   * ;
+   * ```
+   * @returns {Promise}   Promise for server listening, fulfilled with server instance.
+   *                      Rejected as well, when IpcServer instance is already started or starting.
+   */
+  start() {
+
+    log.call(this, "debug", "SRV CLASS.start()");
+
+    if (this._is_started || this._is_starting) {
+      return Promise.reject(
+        new Error(`Tried to start IPC server for domain ${this._domain}, that has already started.`)
+      );
+    }
+
+    this._is_starting = true;
+
+    return claimDomainSocket.call(this)
+      .then(() => new Promise((resolve, reject) => {
+        let bcastServer = net.createServer($onServerBcastCreation.bind(this));
+
+        bcastServer.once("error", reject);
+        listenSocket.call(this, bcastServer, getBcastAddress.call(this), (error) => {
+          bcastServer.removeListener("error", reject);
+
+          // Server, that clients may not be able to connect to, or anyone could connect to, does not start.
+          if (error !== null) {
+            bcastServer.close(() => reject(error));
+
+            return;
+          }
+
+          bcastServer.on("error", $onServerBcastError.bind(this));
+
+          this._bcastServer = bcastServer;
+          this._is_starting = false;
+          this._is_started = true;
+          this._started_at = Date.now();
+
+          if (this._mailbox !== null && this._mailbox.ttl) {
+            this._mailbox_timer = setInterval(sweepMailboxes.bind(this), this._mailbox.ttl);
+            this._mailbox_timer.unref();
+          }
+
+          log.call(this, "info", "SRV BCAST LISTEN", getBcastAddress.call(this));
+
+          notify.call(this, "listening", Object.assign({domain: this._domain}, getBcastAddress.call(this)));
+
+          resolve(this);
+        });
+      }))
+      .catch((error) => {
+        this._is_starting = false;
+
+        log.call(this, "error", "Could not start server.", {error: error});
+
+        return Promise.reject(error);
+      })
+    ;
+  }
+
+  /**
+   * Stops IpcServer instance.<br>
+   * Clients are notified about shutdown, pending writes are flushed, sockets are closed and socket files are removed.
+   * Sockets that are not closed by clients within given timeout are destroyed.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleServer
+   *   .stop()
+   *   .then(() => {
+   *     // Do something when all sockets are closed.
+   *   })
+   * ;
+   * ```
+   * @param {number} timeout  Time in ms given to clients to close their sockets, defaults to 5000.
+   * @returns {Promise}       Promise for all server sockets being closed.
+   *                          Rejected, when IpcServer instance is not started or is still starting.
+   */
+  stop(timeout = STOP_TIMEOUT_DEFAULT) {
+
+    log.call(this, "debug", "SRV CLASS.stop()", {timeout: timeout});
+
+    if (this._is_starting) {
+      return Promise.reject(new Error(`Tried to stop IPC server for domain ${this._domain}, that is still starting.`));
+    }
+
+    if (!this._is_started) {
+      return Promise.reject(new Error(`Tried to stop IPC server for domain ${this._domain}, that has not started.`));
+    }
+
+    this._is_started = false;
+    this._started_at = null;
+
+    clearInterval(this._mailbox_timer);
+    this._mailbox_timer = null;
+
+    let sockets = [];
+    let servers = [this._bcastServer];
+
+    for (let uuid in this._uuid_registry) {
+      let iface = this._uuid_registry[uuid];
+
+      if (iface.heartbeat_timer) {
+        clearInterval(iface.heartbeat_timer);
+      }
+
+      if (iface.suspend_timer) {
+        clearTimeout(iface.suspend_timer);
+      }
+
+      if (iface.socket instanceof net.Socket) {
+        if (iface.socket.writable) {
+          // Ending flushes pending writes before socket is closed, messages waiting in outbox go first.
+          (iface.socket._outbox || []).forEach((message) => writeMsg.call(this, iface.socket, message));
+          iface.socket._outbox = [];
+          iface.socket._outbox_bytes = 0;
+
+          writeMsg.call(this, iface.socket, prepareMsg(COMMAND_SHUTDOWN, null));
+          iface.socket.end();
+        }
+
+        sockets.push(iface.socket);
+      }
+
+      // Unique server still listens when client has not connected to it yet.
+      if (iface.server instanceof net.Server) {
+        servers.push(iface.server);
+      }
+    }
+
+    for (let uuid in bcast_registry[this._domain]) {
+      bcast_registry[this._domain][uuid].end();
+      sockets.push(bcast_registry[this._domain][uuid]);
+    }
+
+    let forceTimeout = setTimeout(() => {
+
+      log.call(this, "warn", "Destroying sockets not closed in time.", {timeout: timeout});
+
+      sockets.forEach((socket) => socket.destroy());
+    }, timeout);
+
+    return Promise
+      .all(sockets.map(whenSocketClosed).concat(servers.map(whenServerClosed)))
+      .then(() => {
+        clearTimeout(forceTimeout);
+
+        // Closing server removes its socket file, but there may be leftovers of unique servers.
+        if (hasSocketFiles.call(this)) {
+          [this._bcast_path].concat(Object.keys(this._uuid_registry).map((uuid) => `${this._bcast_path}.${uuid}`))
+            .forEach((path) => {
+              if (fs.existsSync(path)) {
+                fs.unlinkSync(path);
+              }
+            })
+          ;
+        }
+
+        this._bcastServer = null;
+        this._name_registry = {};
+        this._uuid_registry = {};
+        this._delivery_registry = {};
+        this._topic_registry = {};
+        this._group_registry = {};
+        this._group_cursors = {};
+        this._mailboxes = {};
+        this._sessions = {};
+
+        log.call(this, "info", "SRV STOPPED", getBcastAddress.call(this));
+
+        return this;
+      })
+    ;
+  }
+
+  /**
+   * Adds handlers at any time, regardless client state.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleServer.addHandlers({
+   *   example_request_command: (container) => { // {command: function(container)}
+   *
+   *     // @typedef {object} container
+   *     // @property {string} data        Message data
+   *     // @property {string} client_name Friendly name of client/uuid if name not set.
+   *     // @property {Socket} socket      Instance of net.Socket
+   *
+   *     // Do handler logic here.
    *   },
-   *   {
-   *     example_request_command: (container) => { // {command: function(container)}
+   * });
+   * ```
+   * @param {handler_collection} handler_collection Handlers to be registered.
+   * @returns {module:ipcIO.IpcServer}
+   */
+  addHandlers(handler_collection) {
+    addHandlers.call(this, handler_collection);
+
+    return this;
+  }
+
+  /**
+   * Returns number of bytes waiting to be written to client of given friendly name.<br>
+   * Growing number means that client does not keep up with reading messages.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
    *
-   *       // @typedef {object} container
-   *       // @property {string} data        Message data
-   *       // @property {string} client_name Friendly name of client/uuid if name not set.
-   *       // @property {Socket} socket      Instance of net.Socket
-   *       // @property {Server} server      Instance of net.Server
+   * // Some code...
    *
-   *       // Do handler logic here.
-   *     },
+   * if (exampleServer.getPendingBytes("example_client") > 1048576) {
+   *   console.log("Client is slow.");
+   * }
+   * ```
+   * @param {string} client_name  Friendly name of client.
+   * @returns {number} Pending bytes, 0 when client is not connected.
+   */
+  getPendingBytes(client_name) {
+    let socket = getClientSocket.call(this, client_name);
+
+    if (socket === null) {
+      return 0;
+    }
+
+    return socket.writableLength + (socket._outbox_bytes || 0);
+  }
+
+  /**
+   * Returns counters of messages and bytes received and sent by command, histograms of command handler execution
+   * times, and gauges of clients, deliveries and mailboxes.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * let stats = exampleServer.getStats();
+   *
+   * console.log(`Server has received ${stats.messages_in.example_command || 0} example commands.`);
+   * ```
+   * @returns {server_stats}
+   */
+  getStats() {
+    let now = Date.now();
+    let clients = {};
+    let connected_clients = 0;
+
+    for (let client_name in this._name_registry) {
+      let iface = this._uuid_registry[this._name_registry[client_name]];
+      let is_connected = iface.socket instanceof net.Socket;
+
+      connected_clients += is_connected ? 1 : 0;
+      clients[client_name] = {
+        uuid: this._name_registry[client_name],
+        connected: is_connected,
+        uptime: iface.connected_at === undefined ? 0 : now - iface.connected_at,
+        pending_bytes: this.getPendingBytes(client_name),
+      };
+    }
+
+    let mailbox_messages = 0;
+
+    for (let client_name in this._mailboxes) {
+      pruneMailbox.call(this, client_name);
+      mailbox_messages += this._mailboxes[client_name].length;
+    }
+
+    return Object.assign(JSON.parse(JSON.stringify(this._stats)), {
+      domain: this._domain,
+      uptime: this._started_at === null ? 0 : now - this._started_at,
+      connected_clients: connected_clients,
+      suspended_clients: Object.keys(clients).length - connected_clients,
+      pending_deliveries: Object.keys(this._deliveries).length,
+      routed_deliveries: Object.keys(this._delivery_registry).length,
+      mailbox_messages: mailbox_messages,
+      clients: clients,
+    });
+  }
+
+  /**
+   * Writes to client socket of given friendly name.<br>
+   * When client is offline, message is buffered in its mailbox, if mailboxes are enabled and client has been
+   * connected before.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleServer.emit("example_client", "example_command", {prop1: "prop1"});
+   * ```
+   * @param {string} client_name    Friendly name of client.
+   * @param {string|null} command   Command description.
+   * @param {string|null} data      Data carried by message.
+   * @param {string|null} delivery  Id of delivery of message that needs to be confirmed with response data.
+   *                                Practically used with COMMAND_DELIVER.
+   * @returns {module:ipcIO.IpcServer}
+   */
+  emit(client_name, command, data, delivery = null) {
+
+    log.call(this, "debug", "SRV CLASS.emit()", {
+      client_name: client_name,
+      command: command,
+      delivery: delivery,
+      data: data,
+    });
+
+    writeToClient.call(this, client_name, prepareMsg(null, command, data, delivery));
+
+    return this;
+  }
+
+  /**
+   * Writes command to client of given friendly name and waits until client confirms it with result of command
+   * handler, using reserved deliver command.<br>
+   * Returned promise is fulfilled with value returned by client command handler.
+   * Returned promise is rejected with IpcError when client is not connected, disconnects before delivering feedback,
+   * when command handler throws or rejects, when delivery times out, or when request is dropped,
+   * as client does not keep up with reading.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleServer
+   *   .deliver("example_client", "example_command", {prop1: "prop1"}, {timeout: 1000})
+   *   .then((feedback) => {
+   *     console.log(`We know that delivery is confirmed and we have a ${feedback}.`);
    *   })
    * ;
    * ```
-   * @constructor
-   * @param {server_constructor_options} options    Determines operating properties and behavior.
-   * @param {handler_collection} handler_collection Handlers to be registered at construction time.
+   * @param {string} client_name        Friendly name of client.
+   * @param {string|null} command       Command description.
+   * @param {string|null} data          Data carried by message.
+   * @param {delivery_options} options  Options of this delivery.
+   * @returns {Promise}
    */
-  constructor(options = {}, handler_collection = {}) {
-    /**
-     * When true, will feed the console.
-     * @type {boolean}
-     */
-    this.verbose = options.verbose || false;
+  deliver(client_name, command, data, options = {}) {
 
-    /**
-     * Registry of client friendly name <=> uuid pairs.
-     * @type {object}
-     * @private
-     */
-    this._name_registry = {};
+    log.call(this, "debug", "SRV CLASS.deliver()", {client_name: client_name, command: command, data: data});
 
-    /**
-     * Registry of interfaces (server and its sockets), keyed by client uuids.
-     * @type {object}
-     * @private
-     */
-    this._uuid_registry = {};
+    let delivery = uuidV4().replace(/-/g, "");
+    let timeout = options.timeout === undefined ? this._delivery_timeout : options.timeout;
 
-    /**
-     * Registry of deliveries, keyed by client names.
-     * @type {object}
-     * @private
-     */
-    this._delivery_registry = {};
+    return new Promise((resolve, reject) => {
+      if (!isClientReachable.call(this, client_name)) {
+        reject(new IpcError(`Client "${client_name}" is not connected.`, E_RECIPIENT_UNKNOWN));
 
-    /**
-     * Message encoding
-     * @type {string}
-     * @private
-     */
-    this._encoding = options.encoding || "utf8";
+        return;
+      }
 
-    /**
-     * Server broadcast domain
-     * @type {string}
-     * @private
-     */
-    this._domain = options.domain || DOMAIN_DEFAULT;
+      registerDelivery.call(this, delivery, resolve, reject, timeout, client_name);
 
-    /**
-     * Path to unix socket file handler
-     * @type {string}
-     * @private
-     */
-    this._bcast_path = `${TMP_PATH}.${this._domain}`;
+      // Client does not keep up with reading, so request has been dropped.
+      if (!writeToClient.call(this, client_name, prepareMsg(null, command, data, delivery))) {
+        settleDelivery.call(
+          this, delivery, null, new IpcError(`Message to client "${client_name}" has been dropped.`, E_QUEUE_FULL)
+        );
+      }
+    });
+  }
 
-    /**
-     * Broadcast domain server, used for handshaking and message broadcasting.
-     * @type {null|Server}
-     * @private
-     */
-    this._bcastServer = null;
+  /**
+   * Writes to single member of group, picked with strategy given in options.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleServer.emitGroup("resizers", "resize", {file: "a.png"}, {strategy: "hash", key: "a.png"});
+   * ```
+   * @param {string} group            Name of group.
+   * @param {string|null} command     Command description.
+   * @param {string|null} data        Data carried by message.
+   * @param {group_options} options   Options determining strategy.
+   * @returns {module:ipcIO.IpcServer}
+   */
+  emitGroup(group, command, data, options = {}) {
 
-    /**
-     * Indicated if sever is already started.
-     * @type {boolean}
-     * @private
-     */
-    this._is_started = false;
+    log.call(this, "debug", "SRV CLASS.emitGroup()", {group: group, command: command, data: data});
 
-    /**
-     * Collection of command handlers, passed to constructor or addHandler method.
-     * @type {object}
-     * @private
-     */
-    this._command_handlers = {};
+    let client_name = pickGroupMember.call(this, group, options);
 
-    // If collection of handlers is passed as second argument, add it immediately.
-    if (handler_collection) {
-      this.addHandlers(handler_collection);
+    if (client_name === null) {
+      log.call(this, "warn", "Dropping message, group has no connected members.", {group: group, command: command});
+
+      return this;
     }
+
+    return this.emit(client_name, command, data);
   }
 
   /**
-   * Checks if server is started.
-   * @returns {boolean} True when server is started via IpcIO.Server#start() call.
+   * Delivers command to single member of group, picked with strategy given in options.<br>
+   * When picked member disconnects before delivering feedback, command is delivered to another member.<br>
+   * Returned promise is fulfilled with value returned by member command handler.
+   * Returned promise is rejected with IpcError when group has no connected members left, when command handler throws
+   * or rejects, or when delivery times out.
+   * @example
+   * ```js
+   * const exampleServer = new ipcio.Server({
+   *   // Server instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleServer
+   *   .deliverGroup("resizers", "resize", {file: "a.png"}, {strategy: "least_pending", timeout: 5000})
+   *   .then((feedback) => {
+   *     console.log(`File resized to ${feedback}.`);
+   *   })
+   * ;
+   * ```
+   * @param {string} group            Name of group.
+   * @param {string|null} command     Command description.
+   * @param {string|null} data        Data carried by message.
+   * @param {group_options} options   Options determining strategy and behavior of delivery.
+   * @returns {Promise}
    */
-  isStarted() {
-    return this._is_started;
-  }
+  deliverGroup(group, command, data, options = {}) {
 
-  /**
-   * Starts IpcServer instance.
-   * @returns {module:ipcIO.IpcServer}
-   * @throws Error If this method was called before and IpcServer instance is already started.
-   */
-  start() {
+    log.call(this, "debug", "SRV CLASS.deliverGroup()", {group: group, command: command, data: data});
 
-    feedConsole.call(this, "SRV CLASS.start()");
+    let tried = [];
 
-    if (this._is_started) {
-      throw new Error(`Tried to start IPC server for domain ${this._domain}, that has already started.`);
-    }
+    let attempt = () => {
+      let client_name = pickGroupMember.call(this, group, options, tried);
 
-    if (fs.existsSync(this._bcast_path)) {
-      fs.unlinkSync(this._bcast_path);
-    }
+      if (client_name === null) {
+        return Promise.reject(new IpcError(`Group "${group}" has no connected members.`, E_RECIPIENT_UNKNOWN));
+      }
 
-    this._bcastServer = net.createServer($onServerBcastCreation.bind(this));
-    this._bcastServer.listen(this._bcast_path);
+      tried.push(client_name);
 
-    feedConsoleLines.call(this, "SRV BCAST LISTEN", `path: ${this._bcast_path}`);
+      return this
+        .deliver(client_name, command, data, {timeout: options.timeout})
+        .catch((error) => {
+          if (error.code === E_PEER_DISCONNECTED) {
+            log.call(this, "warn", "Group member has disconnected, delivering to another.", {
+              client_name: client_name,
+              group: group,
+              command: command,
+            });
 
-    this._is_started = true;
+            return attempt();
+          }
 
-    return this;
+          throw error;
+        })
+      ;
+    };
+
+    return new Promise((resolve) => resolve(attempt()));
   }
 
   /**
-   * Adds handlers at any time, regardless client state.
+   * Writes to all client sockets within server domain, except initiator client, if provided.
    * @example
    * ```js
    * const exampleServer = new ipcio.Server({
@@ -742,29 +4172,46 @@ class IpcServer {
    *
    * // Some code...
    *
-   * exampleServer.addHandlers({
-   *   example_request_command: (container) => { // {command: function(container)}
-   *
-   *     // @typedef {object} container
-   *     // @property {string} data        Message data
-   *     // @property {string} client_name Friendly name of client/uuid if name not set.
-   *     // @property {Socket} socket      Instance of net.Socket
-   *
-   *     // Do handler logic here.
-   *   },
-   * });
+   * exampleServer.broadcast("example_command", {prop1: "prop1"});
    * ```
-   * @param {handler_collection} handler_collection Handlers to be registered.
+   * @param {string|null} command           Command description
+   * @param {string|null} data              Data carried by message.
+   * @param {string|null} initiator_client  Friendly name of client which initiated broadcast (if client-initiated).
    * @returns {module:ipcIO.IpcServer}
    */
-  addHandlers(handler_collection) {
-    addHandlers.call(this, handler_collection);
+  broadcast(command, data, initiator_client = null) {
+
+    log.call(this, "debug", "SRV CLASS.broadcast()", {
+      command: command,
+      data: data,
+      client_name: initiator_client,
+    });
+
+    for (let uuid in this._uuid_registry) {
+      if (initiator_client && this._name_registry[initiator_client] === uuid) {
+        continue;
+      }
+
+      if (
+        this._uuid_registry[uuid].socket instanceof net.Socket && // Every uuid having socket,
+        this._uuid_registry[uuid].socket.writable // that is writable.
+      ) {
+        writeToSocket.call(
+          this,
+          this._uuid_registry[uuid].socket,
+          this._uuid_registry[uuid].name,
+          prepareMsg(command, data)
+        );
+      }
+    }
 
     return this;
   }
 
   /**
-   * Writes to client socket of given friendly name.
+   * Writes to all client sockets subscribed to topic pattern matching given topic,
+   * except initiator client, if provided.<br>
+   * Subscriber command handlers receive topic that message was published to.
    * @example
    * ```js
    * const exampleServer = new ipcio.Server({
@@ -773,36 +4220,59 @@ class IpcServer {
    *
    * // Some code...
    *
-   * exampleServer.emit("example_client", "example_command", {prop1: "prop1"});
+   * // Written to clients subscribed to "orders.created", "orders.*" or "orders.#".
+   * exampleServer.publish("orders.created", "example_command", {prop1: "prop1"});
    * ```
-   * @param {string} client_name    Friendly name of client.
-   * @param {string|null} command   Command description.
-   * @param {string|null} data      Data carried by message.
-   * @param {string|null} delivery  Id of delivery of message that needs to be confirmed with response data.
-   *                                Practically used with COMMAND_DELIVER.
+   * @param {string} topic                  Topic, segments are separated with dots.
+   * @param {string|null} command           Command description
+   * @param {string|null} data              Data carried by message.
+   * @param {string|null} initiator_client  Friendly name of client which initiated publish (if client-initiated).
    * @returns {module:ipcIO.IpcServer}
    */
-  emit(client_name, command, data, delivery = null) {
+  publish(topic, command, data, initiator_client = null) {
 
-    feedConsole.call(this, `SRV CLASS.emit(${client_name}, ${command}, ${JSON.stringify(data)}, ${delivery})`);
+    log.call(this, "debug", "SRV CLASS.publish()", {
+      topic: topic,
+      command: command,
+      data: data,
+      client_name: initiator_client,
+    });
 
-    if (
-      client_name in this._name_registry && // We have such friendly name,
-      typeof this._name_registry[client_name] === "string" && // really a name,
-      this._name_registry[client_name] in this._uuid_registry && // which uuid exists in registry,
-      this._uuid_registry[this._name_registry[client_name]].socket instanceof net.Socket && // being socket,
-      this._uuid_registry[this._name_registry[client_name]].socket.writable // that is writable.
-    ) {
-      this._uuid_registry[this._name_registry[client_name]].socket.write(
-        prepareMsg(null, command, data, delivery), this._encoding
-      );
+    validateTopic(topic);
+
+    let subscribers = {};
+
+    for (let pattern in this._topic_registry) {
+      if (matchTopic(pattern, topic)) {
+        Object.assign(subscribers, this._topic_registry[pattern]);
+      }
+    }
+
+    for (let uuid in subscribers) {
+      if (initiator_client && this._name_registry[initiator_client] === uuid) {
+        continue;
+      }
+
+      // Subscriber with suspended session receives message after it resumes the session.
+      if (this._uuid_registry[uuid] !== undefined && this._uuid_registry[uuid].name !== undefined) {
+        writeToClient.call(
+          this,
+          this._uuid_registry[uuid].name,
+          prepareMsg(topic, COMMAND_PUBLISH, prepareMsg(command, data))
+        );
+      }
     }
 
     return this;
   }
 
   /**
-   * Writes to all client sockets within server domain, except initiator client, if provided.
+   * Delivers command to all clients within server domain, except initiator client, if provided,
+   * and collects their feedbacks.<br>
+   * Returned promise is fulfilled when all clients delivered feedback, failed or timed out, or as soon as
+   * min_responses clients delivered feedback successfully.
+   * Returned promise is rejected with IpcError when fewer than min_responses clients delivered feedback successfully,
+   * collected feedbacks are then available as "responses" property of error.
    * @example
    * ```js
    * const exampleServer = new ipcio.Server({
@@ -811,133 +4281,641 @@ class IpcServer {
    *
    * // Some code...
    *
-   * exampleServer.broadcast("example_command", {prop1: "prop1"});
+   * exampleServer
+   *   .broadcastDeliver("health_check", null, {timeout: 1000})
+   *   .then((responses) => {
+   *     console.log(responses); // { results: { worker1: 'ok' },
+   *                             // errors: { worker2: IpcError },
+   *                             // timed_out: [ 'worker3' ],
+   *                             // pending: [] }
+   *   })
+   * ;
    * ```
-   * @param {string|null} command           Command description
-   * @param {string|null} data              Data carried by message.
-   * @param {string|null} initiator_client  Friendly name of client which initiated broadcast (if client-initiated).
-   * @returns {module:ipcIO.IpcServer}
+   * @param {string|null} command                 Command description.
+   * @param {string|null} data                    Data carried by message.
+   * @param {broadcast_delivery_options} options  Options of this broadcast delivery.
+   * @param {string|null} initiator_client        Friendly name of client which initiated broadcast delivery
+   *                                              (if client-initiated).
+   * @returns {Promise} Promise for broadcast_delivery_responses.
    */
-  broadcast(command, data, initiator_client = null) {
+  broadcastDeliver(command, data, options = {}, initiator_client = null) {
+
+    log.call(this, "debug", "SRV CLASS.broadcastDeliver()", {
+      command: command,
+      data: data,
+      client_name: initiator_client,
+    });
+
+    let min_responses = options.min_responses || 0;
+    let recipients = Object.keys(this._name_registry).filter((client_name) => {
+      return client_name !== initiator_client && getClientSocket.call(this, client_name) !== null;
+    });
+
+    return new Promise((resolve, reject) => {
+      let responses = {
+        results: {},
+        errors: {},
+        timed_out: [],
+        pending: recipients.slice(),
+      };
+      let is_settled = false;
+
+      let settle = () => {
+        let results_count = Object.keys(responses.results).length;
+
+        if (min_responses > 0 && results_count >= min_responses) {
+          // Enough feedbacks collected, rest of them is not awaited.
+          resolve(mapResponsesErrors(responses, (error) => error));
+        }
+        else if (responses.pending.length) {
+          return;
+        }
+        else if (results_count < min_responses) {
+          let error = new IpcError(
+            `Only ${results_count} of ${min_responses} required feedbacks were delivered.`, E_MIN_RESPONSES
+          );
+          error.responses = mapResponsesErrors(responses, (error) => error);
+          reject(error);
+        }
+        else {
+          resolve(mapResponsesErrors(responses, (error) => error));
+        }
+
+        is_settled = true;
+      };
+
+      recipients.forEach((client_name) => {
+        let onFeedback = () => {
+          responses.pending.splice(responses.pending.indexOf(client_name), 1);
+
+          if (!is_settled) {
+            settle();
+          }
+        };
+
+        this
+          .deliver(client_name, command, data, {timeout: options.timeout})
+          .then(
+            (feedback) => {
+              responses.results[client_name] = feedback;
+              onFeedback();
+            },
+            (error) => {
+              if (error.code === E_DELIVERY_TIMEOUT) {
+                responses.timed_out.push(client_name);
+              }
+              else {
+                responses.errors[client_name] = error;
+              }
+              onFeedback();
+            }
+          )
+        ;
+      });
+
+      // There is no one to wait for.
+      if (!recipients.length) {
+        settle();
+      }
+    });
+  }
+}
+
+module.exports.Server = IpcServer;
+
+/**
+ * Spawns socket and returns it with already assigned offline behavior related handler.
+ * @returns {Socket}
+ * @ignore
+ */
+function spawnClientSocket() {
+  let socket = new net.Socket();
+  socket
+    .on("error", (error) => notify.call(this, "error", error))
+    .on("error", $onClientOffline.bind(this))
+    .on("finish", $onClientOffline.bind(this))
+    .on("close", $onClientOffline.bind(this))
+  ;
+
+  return socket;
+}
+
+/**
+ * Checks if there is possibility to successfully write queue entry to socket.<br>
+ * If so, writes to socket and initialized writing next entry, when socket is able to respond with response.
+ * @ignore
+ */
+function sendQueueEntry() {
+  if (this._is_connected && this._queue.length) {
+    writeMsg.call(this, this._uniqueSocket, this._queue[0][0], () => {
+
+      // Get rid of sent message only if write was successful.
+      settleSentEntry.call(this, QUEUE_UNIQUE, this._queue.shift());
+
+      if (!this._queue.length) {
+        this._emptying_queue = false;
+        checkQueuesFlushed.call(this);
+      }
+      else {
+        sendQueueEntry.call(this);
+      }
+    });
+  }
+  else {
+    this._emptying_queue = false;
+  }
+}
+
+/**
+ * Checks if there is possibility to successfully emit messages. If so, begins emitting process.
+ * @ignore
+ */
+function handleQueue() {
+  if (this._is_connected && this._queue.length && !this._emptying_queue) {
+    this._emptying_queue = true;
+    sendQueueEntry.call(this);
+  }
+}
+
+/**
+ * Checks if there is possibility to successfully write queue entry to broadcast socket.<br>
+ * If so, writes to socket and initialized writing next entry, when socket is able to respond with response.
+ * @ignore
+ */
+function sendBcastQueueEntry() {
+  if (this._is_connected && this._bcast_queue.length) {
+    writeBcastMsg.call(this, this._bcastSocket, this._bcast_queue[0][0], () => {
+
+      // Get rid of sent message only if write was successful.
+      settleSentEntry.call(this, QUEUE_BCAST, this._bcast_queue.shift());
+
+      if (!this._bcast_queue.length) {
+        this._emptying_bcast_queue = false;
+        checkQueuesFlushed.call(this);
+      }
+      else {
+        sendBcastQueueEntry.call(this);
+      }
+    });
+  }
+  else {
+    this._emptying_bcast_queue = false;
+  }
+}
+
+/**
+ * Checks if there is possibility to successfully emit messages to broadcast socket. If so, begins emitting process.
+ * @ignore
+ */
+function handleBcastQueue() {
+  if (this._is_connected && this._bcast_queue.length && !this._emptying_bcast_queue) {
+    this._emptying_bcast_queue = true;
+    sendBcastQueueEntry.call(this);
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Settles queue entry written to socket. Entry tagged with message id is kept until server acknowledges it,
+ * so it can be sent again when connection is lost before. Server, that does not acknowledge messages,
+ * is trusted with them once they are written.
+ * @param {string} queue  QUEUE_UNIQUE or QUEUE_BCAST.
+ * @param {Array} entry   Queue entry: message, resolve function, queue file sequence number, message id,
+ *                        reject function, size of message in bytes.
+ * @ignore
+ */
+function settleSentEntry(queue, entry) {
+  if (entry[3] && this._is_server_acking) {
+    this._unacked[entry[3]] = {
+      queue: queue,
+      entry: entry,
+    };
+
+    return;
+  }
+
+  if (entry[3]) {
+    releasePendingEntry.call(this, entry);
+  }
+
+  settleQueueEntry.call(this, entry[2]);
+
+  // Second element of queue entry can be resolve function of promise,
+  // if entry was pushed to queue as a result of IpcClient#whenEmitted call.
+  if (entry[1] !== null && typeof entry[1] === "function") {
+    entry[1](); // Resolve promise.
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Handles server acknowledgement of message, settling promise for it.
+ * @param {string} msg_id                 Message id.
+ * @param {serialized_error|null} error   Error, that server has failed to handle message with.
+ * @ignore
+ */
+function $onClientAck(msg_id, error = null) {
+  if (this._unacked[msg_id] === undefined) {
+    return;
+  }
+
+  let entry = this._unacked[msg_id].entry;
+  delete this._unacked[msg_id];
+
+  settleQueueEntry.call(this, entry[2]);
+  releasePendingEntry.call(this, entry);
+
+  if (error !== null && typeof entry[4] === "function") {
+    entry[4](deserializeError(error)); // Reject promise.
+  }
+  else if (entry[1] !== null && typeof entry[1] === "function") {
+    entry[1](); // Resolve promise.
+  }
+
+  checkQueuesFlushed.call(this);
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Puts message to queue of given socket and calls queue handler.<br>
+ * When persistent queue is enabled, message is written through to queue file first.
+ * @param {string} queue            QUEUE_UNIQUE or QUEUE_BCAST.
+ * @param {string} message          Prepared message.
+ * @param {function|null} resolve   Resolve function of promise for message being acknowledged.
+ * @param {function|null} reject    Reject function of promise for message being acknowledged.
+ * @returns {string}                Id, that message is tagged with.
+ * @ignore
+ */
+function enqueue(queue, message, resolve = null, reject = null) {
+  let msg_id = uuidV4().replace(/-/g, "");
+
+  message = tagMsg(message, msg_id);
+
+  let bytes = Buffer.byteLength(message);
+
+  // Blocked messages go first, so order of messages is kept.
+  if (this._blocked_entries.length || isQueueFull.call(this, bytes)) {
+    if (this._queue_limit.overflow === QUEUE_OVERFLOW_BLOCK) {
+      this._blocked_entries.push([queue, message, resolve, reject, msg_id, bytes]);
+
+      return msg_id;
+    }
+
+    while (
+      this._queue_limit.overflow === QUEUE_OVERFLOW_DROP_OLDEST &&
+      isQueueFull.call(this, bytes) &&
+      dropOldestEntry.call(this, queue)
+    ) {
+      // Drop until there is enough room.
+    }
+
+    if (isQueueFull.call(this, bytes)) {
+      throw new IpcError("Client queue is full.", E_QUEUE_FULL);
+    }
+  }
+
+  admitEntry.call(this, queue, message, resolve, reject, msg_id, bytes);
+
+  return msg_id;
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Puts tagged message to queue of given socket and calls queue handler.
+ * @param {string} queue            QUEUE_UNIQUE or QUEUE_BCAST.
+ * @param {string} message          Prepared message, tagged with message id.
+ * @param {function|null} resolve   Resolve function of promise for message being acknowledged.
+ * @param {function|null} reject    Reject function of promise for message being acknowledged.
+ * @param {string} msg_id           Message id.
+ * @param {number} bytes            Size of message in bytes.
+ * @ignore
+ */
+function admitEntry(queue, message, resolve, reject, msg_id, bytes) {
+  let seq = persistQueueEntry.call(this, queue, message, msg_id);
+
+  // Promise for persisted message is not fulfilled, until message is flushed to disk.
+  if (seq !== null && typeof resolve === "function") {
+    let written = this._queue_file_writing;
+    let settle = resolve;
+
+    resolve = () => written.then(() => settle());
+  }
+
+  this._pending_length++;
+  this._pending_bytes += bytes;
+
+  if (queue === QUEUE_BCAST) {
+    this._bcast_queue.push([message, resolve, seq, msg_id, reject, bytes]);
+    handleBcastQueue.call(this);
+  }
+  else {
+    this._queue.push([message, resolve, seq, msg_id, reject, bytes]);
+    handleQueue.call(this);
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Checks if message of given size would exceed queue limits.
+ * @param {number} bytes  Size of message in bytes.
+ * @returns {boolean}
+ * @ignore
+ */
+function isQueueFull(bytes) {
+  return (this._queue_limit.max_length > 0 && this._pending_length + 1 > this._queue_limit.max_length) ||
+    (this._queue_limit.max_bytes > 0 && this._pending_bytes + bytes > this._queue_limit.max_bytes);
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Removes the oldest message not yet written to socket from given queue, or from the other one, when there is none.
+ * Promise for removed message is rejected.
+ * @param {string} queue  QUEUE_UNIQUE or QUEUE_BCAST, that is tried first.
+ * @returns {boolean}     False, if there was no message to remove.
+ * @ignore
+ */
+function dropOldestEntry(queue) {
+  let queues = queue === QUEUE_BCAST
+    ? [[this._bcast_queue, this._emptying_bcast_queue], [this._queue, this._emptying_queue]]
+    : [[this._queue, this._emptying_queue], [this._bcast_queue, this._emptying_bcast_queue]];
+
+  for (let [entries, is_emptying] of queues) {
+
+    // Entry at the beginning of queue that is being emptied is just being written, internal entries are not counted.
+    let idx = entries.findIndex((entry, idx) => entry[3] && !(is_emptying && idx === 0));
+
+    if (idx === -1) {
+      continue;
+    }
 
-    feedConsole.call(this, `SRV CLASS.broadcast(${command}, ${JSON.stringify(data)}, ${initiator_client})`);
+    let entry = entries.splice(idx, 1)[0];
 
-    for (let uuid in this._uuid_registry) {
-      if (initiator_client && this._name_registry[initiator_client] === uuid) {
-        continue;
-      }
+    log.call(this, "warn", "Client queue is full, dropping the oldest message.", {msg_id: entry[3]});
 
-      if (
-        this._uuid_registry[uuid].socket instanceof net.Socket && // Every uuid having socket,
-        this._uuid_registry[uuid].socket.writable // that is writable.
-      ) {
-        this._uuid_registry[uuid].socket.write(prepareMsg(command, data), this._encoding);
-      }
+    settleQueueEntry.call(this, entry[2]);
+    releasePendingEntry.call(this, entry);
+
+    if (typeof entry[4] === "function") {
+      entry[4](new IpcError("Message dropped, client queue is full.", E_QUEUE_FULL)); // Reject promise.
     }
 
-    return this;
+    return true;
   }
+
+  return false;
 }
 
-module.exports.Server = IpcServer;
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Stops counting settled entry towards queue limits, and admits blocked messages, as long as there is room for them.
+ * @param {Array} entry Queue entry.
+ * @ignore
+ */
+function releasePendingEntry(entry) {
+  this._pending_length--;
+  this._pending_bytes -= entry[5] || 0;
+
+  while (this._blocked_entries.length && !isQueueFull.call(this, this._blocked_entries[0][5])) {
+    let blocked = this._blocked_entries.shift();
+
+    try {
+      admitEntry.call(this, ...blocked);
+    }
+    catch (e) {
+      if (typeof blocked[3] === "function") {
+        blocked[3](e); // Reject promise, e.g. persistent queue is full.
+      }
+    }
+  }
+}
 
 /**
- * Spawns socket and returns it with already assigned offline behavior related handler.
- * @returns {Socket}
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Reads queue file left by previous client process, puts messages not yet acknowledged by server back to queues
+ * and compacts the file.
  * @ignore
  */
-function spawnClientSocket() {
-  let socket = new net.Socket();
-  socket
-    .on("error", $onClientOffline.bind(this))
-    .on("finish", $onClientOffline.bind(this))
-    .on("close", $onClientOffline.bind(this))
+function loadQueueFile() {
+  if (!fs.existsSync(this._persistent_queue.dir)) {
+    fs.mkdirSync(this._persistent_queue.dir, {recursive: true});
+  }
+
+  if (!fs.existsSync(this._queue_path)) {
+    return;
+  }
+
+  let entries = {};
+
+  fs.readFileSync(this._queue_path, "utf8").split("\n").forEach((line) => {
+    let record;
+
+    try {
+      record = JSON.parse(line);
+    }
+    catch (e) {
+      return; // Empty line, or the last one, torn by crash.
+    }
+
+    if (record.done) {
+      delete entries[record.seq];
+    }
+    else {
+      entries[record.seq] = record;
+    }
+
+    this._queue_seq = Math.max(this._queue_seq, record.seq);
+  });
+
+  Object.keys(entries)
+    .sort((a, b) => a - b)
+    .forEach((seq) => {
+      let line = `${JSON.stringify(entries[seq])}\n`;
+      let bytes = Buffer.byteLength(entries[seq].message);
+
+      this._queue_lines[seq] = line;
+      this._queue_live_bytes += Buffer.byteLength(line);
+      this._pending_length++;
+      this._pending_bytes += bytes;
+      (entries[seq].queue === QUEUE_BCAST ? this._bcast_queue : this._queue)
+        .push([entries[seq].message, null, entries[seq].seq, entries[seq].msg_id, null, bytes]);
+    })
   ;
 
-  return socket;
+  log.call(this, "info", "Loaded messages from queue file.", {
+    path: this._queue_path,
+    messages: Object.keys(entries).length,
+  });
+
+  compactQueueFile.call(this);
 }
 
 /**
- * Checks if there is possibility to successfully write queue entry to socket.<br>
- * If so, writes to socket and initialized writing next entry, when socket is able to respond with response.
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Appends message to queue file. Write is batched with other ones and flushed to disk asynchronously.
+ * @param {string} queue    QUEUE_UNIQUE or QUEUE_BCAST.
+ * @param {string} message  Prepared message.
+ * @param {string} msg_id   Message id, kept so message sent again after restart is recognized by server.
+ * @returns {number|null}   Sequence number of message in queue file, null when persistent queue is disabled.
  * @ignore
  */
-function sendQueueEntry() {
-  if (this._is_connected && this._queue.length) {
-    this._uniqueSocket.write(this._queue[0][0], this._encoding, () => {
+function persistQueueEntry(queue, message, msg_id) {
+  if (this._persistent_queue === null) {
+    return null;
+  }
 
-      // Get rid of sent message only if write was successful.
-      let shifted_entry = this._queue.shift();
+  let seq = this._queue_seq + 1;
+  let line = `${JSON.stringify({seq: seq, queue: queue, message: message, msg_id: msg_id})}\n`;
+  let bytes = Buffer.byteLength(line);
 
-      // Second element of queue entry can be resolve function of promise,
-      // if entry was pushed to queue as a result of IpcClient#whenEmitted call.
-      if (shifted_entry[1] !== null && typeof shifted_entry[1] === "function") {
-        shifted_entry[1](); // Resolve promise.
-      }
+  if (this._persistent_queue.max_bytes && this._queue_live_bytes + bytes > this._persistent_queue.max_bytes) {
+    throw new IpcError(
+      `Queue file ${this._queue_path} exceeds ${this._persistent_queue.max_bytes} bytes.`, E_QUEUE_FULL
+    );
+  }
 
-      if (!this._queue.length) {
-        this._emptying_queue = false;
-      }
-      else {
-        sendQueueEntry.call(this);
-      }
-    });
+  this._queue_seq = seq;
+  this._queue_lines[seq] = line;
+  this._queue_live_bytes += bytes;
+  appendQueueLine.call(this, line);
+
+  return seq;
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Marks message in queue file as acknowledged by server.<br>
+ * File is emptied when there are no messages left, and compacted when it mostly consists of acknowledged ones.
+ * @param {number|null|undefined} seq Sequence number of message in queue file.
+ * @ignore
+ */
+function settleQueueEntry(seq) {
+  if (seq === null || seq === undefined || this._queue_lines[seq] === undefined) {
+    return;
   }
-  else {
-    this._emptying_queue = false;
+
+  this._queue_live_bytes -= Buffer.byteLength(this._queue_lines[seq]);
+  delete this._queue_lines[seq];
+
+  if (!Object.keys(this._queue_lines).length) {
+    compactQueueFile.call(this);
+
+    return;
+  }
+
+  // Message would be sent again after restart, if this record was lost.
+  appendQueueLine.call(this, `${JSON.stringify({seq: seq, done: true})}\n`);
+
+  if (this._queue_file_bytes > QUEUE_COMPACT_BYTES && this._queue_file_bytes > 2 * this._queue_live_bytes) {
+    compactQueueFile.call(this);
   }
 }
 
 /**
- * Checks if there is possibility to successfully emit messages. If so, begins emitting process.
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Schedules rewriting queue file, so it contains messages not yet acknowledged by server only.
  * @ignore
  */
-function handleQueue() {
-  if (this._is_connected && this._queue.length && !this._emptying_queue) {
-    this._emptying_queue = true;
-    sendQueueEntry.call(this);
+function compactQueueFile() {
+  if (this._is_compacting) {
+    return;
   }
+
+  this._is_compacting = true;
+
+  scheduleQueueWrite.call(this, () => {
+    let tmp_path = `${this._queue_path}.tmp`;
+    let lines = Object.keys(this._queue_lines)
+      .sort((a, b) => a - b)
+      .map((seq) => this._queue_lines[seq])
+      .join("")
+    ;
+
+    // Lines waiting to be appended are either rewritten, or not needed anymore.
+    this._is_compacting = false;
+    this._queue_file_buffer = [];
+    this._queue_file_bytes = Buffer.byteLength(lines);
+
+    return writeQueueFile(tmp_path, "w", lines).then(() => new Promise((resolve, reject) => {
+      fs.rename(tmp_path, this._queue_path, (error) => error ? reject(error) : resolve());
+    }));
+  });
 }
 
 /**
- * Checks if there is possibility to successfully write queue entry to broadcast socket.<br>
- * If so, writes to socket and initialized writing next entry, when socket is able to respond with response.
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Buffers line to be appended to queue file. Lines buffered meanwhile are appended together.
+ * @param {string} line Queue file line.
  * @ignore
  */
-function sendBcastQueueEntry() {
-  if (this._is_connected && this._bcast_queue.length) {
-    this._bcastSocket.write(this._bcast_queue[0][0], this._encoding, () => {
+function appendQueueLine(line) {
+  this._queue_file_buffer.push(line);
+  this._queue_file_bytes += Buffer.byteLength(line);
 
-      // Get rid of sent message only if write was successful.
-      let shifted_entry = this._bcast_queue.shift();
+  if (this._queue_file_buffer.length === 1) {
+    scheduleQueueWrite.call(this, () => {
+      let lines = this._queue_file_buffer.join("");
+      this._queue_file_buffer = [];
 
-      // Second element of queue entry can be resolve function of promise,
-      // if entry was pushed to queue as a result of IpcClient#whenEmitted call.
-      if (shifted_entry[1] !== null && typeof shifted_entry[1] === "function") {
-        shifted_entry[1](); // Resolve promise.
-      }
+      return lines.length ? writeQueueFile(this._queue_path, "a", lines) : Promise.resolve();
+    });
+  }
+}
 
-      if (!this._bcast_queue.length) {
-        this._emptying_bcast_queue = false;
-      }
-      else {
-        sendBcastQueueEntry.call(this);
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Queues write to queue file after writes scheduled before, so file records are never reordered.
+ * Failure is reported as "error" event, messages are still sent from memory.
+ * @param {function} write Function returning promise for write being done.
+ * @ignore
+ */
+function scheduleQueueWrite(write) {
+  this._queue_file_writing = this._queue_file_writing
+    .then(write)
+    .catch((error) => {
+      log.call(this, "error", "Could not write queue file.", {path: this._queue_path, error: error});
+
+      notify.call(this, "error", error);
+    })
+  ;
+}
+
+/**
+ * Writes data to file and flushes it to disk.
+ * @param {string} file_path  Path of file.
+ * @param {string} flags      File system flags, "a" to append, "w" to overwrite.
+ * @param {string} data       Data to be written.
+ * @returns {Promise}         Promise for data being flushed to disk.
+ * @ignore
+ */
+function writeQueueFile(file_path, flags, data) {
+  return new Promise((resolve, reject) => {
+    fs.open(file_path, flags, (error, fd) => {
+      if (error) {
+        reject(error);
+
+        return;
       }
+
+      let close = (error) => fs.close(fd, () => error ? reject(error) : resolve());
+
+      fs.writeFile(fd, data, (error) => error ? close(error) : fs.fsync(fd, close));
     });
-  }
-  else {
-    this._emptying_bcast_queue = false;
-  }
+  });
 }
 
 /**
- * Checks if there is possibility to successfully emit messages to broadcast socket. If so, begins emitting process.
+ * Fulfills promise for flushing queues, if both queues are empty and all sent messages are acknowledged.
  * @ignore
  */
-function handleBcastQueue() {
-  if (this._is_connected && this._bcast_queue.length && !this._emptying_bcast_queue) {
-    this._emptying_bcast_queue = true;
-    sendBcastQueueEntry.call(this);
+function checkQueuesFlushed() {
+  if (
+    this._flushPromiseResolve !== null &&
+    !this._queue.length &&
+    !this._bcast_queue.length &&
+    !Object.keys(this._unacked).length
+  ) {
+    this._flushPromiseResolve();
+    this._flushPromiseResolve = null;
   }
 }
 
@@ -948,41 +4926,76 @@ function handleBcastQueue() {
  */
 function $onClientOffline() {
 
-  feedConsoleLines.call(this, "CLI OFFLINE");
+  log.call(this, "info", "CLI OFFLINE");
+
+  // Client has given up or has been disconnected already, late events of its sockets are to be ignored.
+  if (!this._is_connected && !this._is_connecting) {
+    return;
+  }
+
+  // Handler is called for each event of each socket, disconnection is to be reported once.
+  if (this._is_connected) {
+    notify.call(this, "disconnect", {
+      uuid: this._channel_id,
+      name: this._client_name,
+    });
+  }
 
   // We are offline, so we are not connected.
   // We will attempt to connect after timeout, assigned few lines below, so not connecting yet.
+  // Unless we are disconnecting on purpose.
   this._is_connected = false;
-  this._is_connecting = true;
-
-  // If any timeout with reconnect handler was already set, clear it.
-  if (this._offlinePollingFn !== null) {
-    clearTimeout(this._offlinePollingFn);
-    this._offlinePollingFn = null;
-  }
+  this._is_connecting = !this._is_disconnecting;
 
   // Destroy any remaining connectivity with server, we need to conduct new handshake.
   // Since we can not bet whether broadcast or unique server $onClientOffline we are called in,
   // there is no place to guess, which connection (broadcast or unique) is in what condition.
   // Burn it to the ground and set everything up from scratch.
-  this._channel_id = null;
+  destroyClientSockets.call(this);
 
-  if (this._uniqueSocket !== undefined && this._uniqueSocket !== null) {
-    this._uniqueSocket.destroy();
-    delete this._uniqueSocket;
-    this._uniqueSocket = null;
+  if (this._is_disconnecting) {
+    return;
   }
 
-  if (this._bcastSocket !== undefined && this._bcastSocket !== null) {
-    this._bcastSocket.destroy();
-    delete this._uniqueSocket;
-    this._bcastSocket = null;
+  // Handler is called for each event of each socket. If reconnect handler was already set, attempt is scheduled.
+  if (this._offlinePollingFn !== null) {
+    return;
+  }
+
+  let delay = getReconnectDelay.call(this);
+
+  if (delay === null) {
+    log.call(this, "error", "Giving up reconnecting.", {attempts: this._reconnect_attempts});
+
+    this._is_connecting = false;
+
+    notify.call(this, "reconnect_failed", {
+      attempts: this._reconnect_attempts,
+    });
+
+    rejectLostDeliveries.call(this, false);
+
+    settleConnect.call(this, new IpcError(
+      `Could not connect to IPC server for domain ${this._domain}, after ${this._reconnect_attempts} attempts.`,
+      E_CONNECT_FAILED
+    ));
+
+    return;
   }
 
+  notify.call(this, "reconnecting", {
+    attempt: this._reconnect_attempts,
+    delay: delay,
+  });
+
   // Assign reconnect handler with timeout.
   this._offlinePollingFn = setTimeout(() => {
 
-    feedConsole.call(this, "Attempting to reconnect");
+    log.call(this, "info", "Attempting to reconnect.", {attempt: this._reconnect_attempts});
+
+    this._reconnect_count++;
+
+    this._offlinePollingFn = null;
 
     // Now we may claim that we are trying to connect.
     this._is_connecting = true;
@@ -992,19 +5005,183 @@ function $onClientOffline() {
     // That means that if socket will fail to connect or fail to operate,
     // we will return eventually here.
     this._bcastSocket = spawnClientSocket.call(this);
-    this._bcastSocket.connect(this._bcast_path, $onClientBcastConnect.bind(this));
-  }, 2000);
+    this._bcastSocket.connect(getBcastAddress.call(this), $onClientBcastConnect.bind(this));
+  }, delay);
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Rejects pending deliveries, that feedback will never be delivered for.<br>
+ * Forgotten deliveries are the ones, which requests have been handed over to server, that has forgotten them
+ * along with previous session. Requests still waiting in queues are sent again.
+ * @param {boolean} forgotten_only  When false, all pending deliveries are rejected.
+ * @ignore
+ */
+function rejectLostDeliveries(forgotten_only) {
+  let queued = {};
+
+  this._queue.concat(this._bcast_queue).forEach((entry) => {
+    queued[entry[3]] = true;
+  });
+
+  this._blocked_entries.forEach((entry) => {
+    queued[entry[4]] = true;
+  });
+
+  for (let delivery in this._deliveries) {
+    let entry = this._deliveries[delivery];
+
+    if (!forgotten_only) {
+      settleDelivery.call(this, delivery, null, new IpcError(
+        `Client ${this._client_name} has disconnected before delivery ${delivery} was fulfilled.`, E_PEER_DISCONNECTED
+      ));
+    }
+    else if (entry.msg_id !== undefined && !queued[entry.msg_id]) {
+      let peer = entry.peer === null ? "server" : `client "${entry.peer}"`;
+
+      settleDelivery.call(this, delivery, null, new IpcError(
+        `Connection was lost before ${peer} delivered feedback.`, E_PEER_DISCONNECTED
+      ));
+    }
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Destroys both client sockets and forgets channel obtained with handshake.
+ * @ignore
+ */
+function destroyClientSockets() {
+  this._channel_id = null;
+  this._connected_at = null;
+
+  if (this._heartbeat_timer !== null) {
+    clearInterval(this._heartbeat_timer);
+    this._heartbeat_timer = null;
+  }
+
+  if (this._uniqueSocket !== undefined && this._uniqueSocket !== null) {
+    this._uniqueSocket.destroy();
+    delete this._uniqueSocket;
+    this._uniqueSocket = null;
+  }
+
+  if (this._bcastSocket !== undefined && this._bcastSocket !== null) {
+    this._bcastSocket.destroy();
+    delete this._uniqueSocket;
+    this._bcastSocket = null;
+  }
+
+  // There is no connection to flush queues through anymore.
+  if (this._flushPromiseResolve !== null) {
+    this._flushPromiseResolve();
+    this._flushPromiseResolve = null;
+  }
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Handles server refusing to keep client connected, because client name is taken, client is evicted<br>
+ * or client has failed to authenticate.<br>
+ * Client stops and does not attempt to reconnect, as it would be refused again.
+ * @param {number} code Error code sent by server.
+ * @ignore
+ */
+function $onClientRejected(code) {
+
+  log.call(this, "error", "Server has refused client.", {code: code});
+
+  let was_connected = this._is_connected;
+
+  // Neither connected nor connecting, so late events of destroyed sockets are ignored.
+  this._is_connected = false;
+  this._is_connecting = false;
+
+  if (this._offlinePollingFn !== null) {
+    clearTimeout(this._offlinePollingFn);
+    this._offlinePollingFn = null;
+  }
+
+  if (was_connected) {
+    notify.call(this, "disconnect", {
+      uuid: this._channel_id,
+      name: this._client_name,
+    });
+  }
+
+  destroyClientSockets.call(this);
+
+  this._session = null;
+
+  rejectLostDeliveries.call(this, false);
+
+  notify.call(this, code === E_CLIENT_EVICTED ? "evicted" : "handshake_rejected", {
+    name: this._client_name,
+    code: code,
+  });
+
+  let reasons = {
+    [E_CLIENT_EVICTED]: `Client ${this._client_name} has been evicted by another client taking over its name.`,
+    [E_AUTH_FAILED]: `Client ${this._client_name} has failed to authenticate.`,
+  };
+
+  settleConnect.call(this, new IpcError(reasons[code] || `Client name ${this._client_name} is already taken.`, code));
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Counts reconnect attempt and returns delay it should be made after.
+ * @returns {number|null} Delay in ms, null when reconnecting is disabled or attempts are exhausted.
+ * @ignore
+ */
+function getReconnectDelay() {
+  if (
+    this._reconnect === null ||
+    (this._reconnect.max_attempts > 0 && this._reconnect_attempts >= this._reconnect.max_attempts)
+  ) {
+    return null;
+  }
+
+  let delay = Math.min(
+    this._reconnect.delay * Math.pow(this._reconnect.factor, this._reconnect_attempts),
+    this._reconnect.max_delay
+  );
+
+  this._reconnect_attempts++;
+
+  // Randomize, so clients of restarting server do not reconnect in lockstep.
+  return Math.round(delay * (1 - this._reconnect.jitter + 2 * this._reconnect.jitter * Math.random()));
+}
+
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Fulfills or rejects promise returned by IpcClient#connect, if it is still pending.
+ * @param {Error|null} error When passed, promise is rejected with it.
+ * @ignore
+ */
+function settleConnect(error = null) {
+  let resolve = this._connectPromiseResolve;
+  let reject = this._connectPromiseReject;
+
+  this._connectPromiseResolve = null;
+  this._connectPromiseReject = null;
+
+  if (error !== null && typeof reject === "function") {
+    reject(error);
+  }
+  else if (error === null && typeof resolve === "function") {
+    resolve();
+  }
 }
 
 /**
  * On "connect" event handler for IpcClient handshake/broadcast socket callback.
  * Always called with "this" bound to IpcClient instance.
- * @param {function} resolve Resolve function to be passed to client unique socket connection handler.
  * @ignore
  */
-function $onClientBcastConnect(resolve) {
+function $onClientBcastConnect() {
 
-  feedConsoleLines.call(this, "CLI BCAST CONNECT", `path: ${this._bcast_path}`);
+  log.call(this, "debug", "CLI BCAST CONNECT", getBcastAddress.call(this));
 
   // Server has connected us, so If any timeout with reconnect handler is still set, clear it.
   if (this._offlinePollingFn !== null) {
@@ -1012,15 +5189,74 @@ function $onClientBcastConnect(resolve) {
     this._offlinePollingFn = null;
   }
 
-  this._bcastSocket
+  let bcastSocket = this._bcastSocket;
+
+  bcastSocket
     .on("data", (buffer) => {
-      let message_array = parseMsg(buffer);
+      let message_array = readMsg.call(this, bcastSocket, buffer);
       message_array.forEach((message) => {
-        if (message.command === COMMAND_HANDSHAKE && message.id === this._client_name) {
-          this._channel_id = message.data;
+
+        // Multiplexed connection carries unique channel as well, its messages are tagged with channel id.
+        if (message.channel !== null && message.channel === bcastSocket._mux_channel) {
+          handleClientUniqueMsg.call(this, this._channel_id, this._client_name, {
+            socket: bcastSocket,
+            server: null,
+          }, message);
+
+          return;
+        }
+
+        if (message.command === COMMAND_HANDSHAKE && message.id === this._handshake_name && !this._is_disconnecting) {
+          let handshake = message.data;
+
+          this._channel_id = handshake.uuid;
+          this._client_name = handshake.name;
+          this._session = handshake.session || null;
+          this._is_resumed = handshake.resumed === true;
+          this._is_server_acking = handshake.ack === true;
+
+          // Server has agreed to carry unique channel over this connection.
+          if (handshake.multiplex === true) {
+            bcastSocket._mux_channel = handshake.uuid;
+            this._uniqueSocket = bcastSocket;
+            $onClientUniqueConnect.call(this);
+
+            return;
+          }
+
           this._uniqueSocket = spawnClientSocket.call(this);
-          this._uniqueSocket
-            .connect(`${this._bcast_path}.${this._channel_id}`, $onClientUniqueConnect.bind(this, resolve));
+          this._uniqueSocket.connect(
+            getUniqueAddress.call(this, this._channel_id, handshake.port || null),
+            $onClientUniqueConnect.bind(this)
+          );
+        }
+
+        // Server asks to prove knowledge of secret, before it accepts handshake.
+        if (message.command === COMMAND_CHALLENGE && message.id === this._handshake_name) {
+          writeBcastMsg.call(this, bcastSocket, prepareMsg(
+            COMMAND_CHALLENGE,
+            this._secret === null ? null : getAuthDigest(this._secret, message.data, this._handshake_name)
+          ));
+        }
+
+        if (
+          message.command === COMMAND_ERROR &&
+          (message.id === this._handshake_name || message.id === this._client_name) &&
+          [E_CLIENT_NAME_TAKEN, E_CLIENT_EVICTED, E_AUTH_FAILED].indexOf(message.data) > -1
+        ) {
+          $onClientRejected.call(this, message.data);
+        }
+
+        if (message.command === COMMAND_ACK) {
+          $onClientAck.call(this, message.data, message.error);
+        }
+
+        if (
+          message.command === COMMAND_ERROR &&
+          message.id === this._client_name &&
+          message.data === E_MESSAGE_NOT_JSON
+        ) {
+          log.call(this, "warn", "Server could not read message, that client has sent.");
         }
 
         if (message.command === COMMAND_DISCOVER && message.id === this._client_name) {
@@ -1031,35 +5267,87 @@ function $onClientBcastConnect(resolve) {
     })
   ;
 
-  this._bcastSocket.write(prepareMsg(COMMAND_HANDSHAKE, this._client_name), this._encoding);
+  writeBcastMsg.call(this, this._bcastSocket, prepareMsg(COMMAND_HANDSHAKE, {
+    name: this._handshake_name,
+    groups: this._groups,
+    session: this._session,
+    multiplex: this._multiplex,
+    anonymous: this._is_anonymous,
+    ack: true,
+  }));
 }
 
 /**
  * On "connect" event handler for IpcClient unique socket callback.<br>
  * Always called with "this" bound to IpcClient instance.
- * @param {function} resolve Resolve function that fulfills promise for client unique socket connection.
  * @ignore
  */
-function $onClientUniqueConnect(resolve) {
+function $onClientUniqueConnect() {
 
-  feedConsole.call(this, "CLI UNIQUE CONNECT", `socket: ${this._channel_id}`);
+  log.call(this, "info", "CLI UNIQUE CONNECT", {resumed: this._is_resumed});
 
   // Client unique socket has just been hand-shaken therefore we have stopped connecting and are connected.
   this._is_connecting = false;
   this._is_connected = true;
+  this._reconnect_attempts = 0;
+  this._connected_at = Date.now();
+
+  settleConnect.call(this); // Fulfills promise returned by IpcClient#connect.
+
+  notify.call(this, "connect", {
+    uuid: this._channel_id,
+    name: this._client_name,
+    resumed: this._is_resumed,
+  });
+
+  // Messages not acknowledged before connection was lost are sent again, in order they were sent.
+  // Server skips the ones, that it has handled despite acknowledgement was lost.
+  let unacked = {
+    [QUEUE_UNIQUE]: [],
+    [QUEUE_BCAST]: [],
+  };
+
+  for (let msg_id in this._unacked) {
+    unacked[this._unacked[msg_id].queue].push(this._unacked[msg_id].entry);
+  }
+
+  this._unacked = {};
+  this._queue.unshift(...unacked[QUEUE_UNIQUE]);
+  this._bcast_queue.unshift(...unacked[QUEUE_BCAST]);
+
+  if (!this._is_resumed) {
+    rejectLostDeliveries.call(this, true);
+  }
 
-  if (typeof resolve === "function") {
-    resolve(); // Fulfills promise returned by IpcClient#connect.
+  // Server has forgotten subscriptions along with previous connection, they go first.
+  // Resumed session has kept them.
+  if (this._topics.length && !this._is_resumed) {
+    this._queue.unshift([prepareMsg(COMMAND_SUBSCRIBE, this._topics.slice())]);
   }
 
   handleQueue.call(this);
+  handleBcastQueue.call(this);
 
-  this._uniqueSocket
-    .on("data", $onClientUniqueData.bind(this, this._channel_id, this._client_name, {
-      socket: this._uniqueSocket,
-      server: this._uniqueSocket.server || null,
-    }))
-  ;
+  let uniqueSocket = this._uniqueSocket;
+
+  this._heartbeat_timer = startHeartbeat.call(this, uniqueSocket, () => {
+    notify.call(this, "heartbeat_timeout", {
+      missed: uniqueSocket._missed_beats,
+    });
+
+    // Closing socket makes client reconnect.
+    uniqueSocket.destroy();
+  });
+
+  // Data of multiplexed connection is dispatched by handshake/broadcast socket handler.
+  if (this._uniqueSocket._mux_channel === undefined) {
+    this._uniqueSocket
+      .on("data", $onClientUniqueData.bind(this, this._channel_id, this._client_name, {
+        socket: this._uniqueSocket,
+        server: this._uniqueSocket.server || null,
+      }))
+    ;
+  }
 }
 
 /**
@@ -1073,42 +5361,113 @@ function $onClientUniqueConnect(resolve) {
  */
 function $onClientUniqueData(uuid, client_name, iface, buffer) {
 
-  feedConsoleLines.call(this, "CLI UNIQUE DATA", `socket: ${uuid}, client: ${client_name}`, buffer);
+  log.call(this, "debug", "CLI UNIQUE DATA", {uuid: uuid, client_name: client_name, data: buffer});
 
-  let message_array = parseMsg(buffer);
-  message_array.forEach((message) => {
+  let message_array = readMsg.call(this, iface.socket, buffer);
+  message_array.forEach((message) => handleClientUniqueMsg.call(this, uuid, client_name, iface, message));
+}
 
-    // Handle deliver command from consumer client to producer client.
-    if (message.command === COMMAND_DELIVER) {
-      if (message.delivery !== null && typeof this._deliveries[message.delivery] === "function") {
-        this._deliveries[message.delivery](message.data); // Fulfills promise for delivery.
-        this._deliveries[message.delivery] = undefined;
+/**
+ * Always called with "this" bound to IpcClient instance.<br>
+ * Handles single message received through unique channel.
+ * @param {string} uuid         Unique id of socket used for 1 to 1 communication with server, UUDv4/wo dashes.
+ * @param {string} client_name  Friendly name of client, if passed into client constructor, otherwise UUDv4/wo dashes.
+ * @param {iface} iface         Interface containing socket instance and server instance.
+ * @param {parsed_message} message  Message received.
+ * @ignore
+ */
+function handleClientUniqueMsg(uuid, client_name, iface, message) {
 
-        return;
-      }
+  if (handleHeartbeat.call(this, iface.socket, message)) {
+    return;
+  }
+
+  // Server is going down, we will be notified about it with socket close as well.
+  if (message.command === COMMAND_SHUTDOWN) {
+    log.call(this, "info", "Server is shutting down.");
+
+    return;
+  }
+
+  if (message.command === COMMAND_ACK) {
+    $onClientAck.call(this, message.data, message.error);
+
+    return;
+  }
+
+  // Another client has taken over our name.
+  if (message.command === COMMAND_ERROR && message.data === E_CLIENT_EVICTED) {
+    $onClientRejected.call(this, message.data);
+
+    return;
+  }
+
+  // Server writes message again after session is resumed, when it has not been acknowledged before connection was lost.
+  if (message.msg_id !== null) {
+    let is_handled = isHandledMsg.call(this, message.msg_id);
+
+    writeMsg.call(this, iface.socket, prepareMsg(COMMAND_ACK, message.msg_id));
+
+    if (is_handled) {
+      return;
     }
+  }
 
-    // Handle custom client command when handler registered.
-    let ret = executeCommandHandlers.call(this, uuid, client_name, iface, message);
+  // Message published to topic, that client is subscribed to, is handled as carried command.
+  if (message.command === COMMAND_PUBLISH) {
+    let topic = message.id;
 
-    if (message.delivery !== null) {
-      // There is delivery id attached, that means that sender wants to be notified with result that is returned.
+    message = parseCarriedMsg(message.data);
 
-      if (ret === undefined) {
-        // It is possible, that command handler is not returning anything despite sender asks for delivery.
-        // In such case, we are just to deliver null, but deliverance will be confirmed,
-        // and promise for it will become fulfilled on sender side.
-        ret = null;
-      }
+    if (message === null) {
+      log.call(this, "warn", "Dropping malformed message published to topic.", {topic: topic});
+
+      return;
+    }
+
+    message.topic = topic;
+  }
 
-      // Promisify if yet not a promise.
-      ret = ret instanceof Promise ? ret : Promise.resolve(ret);
+  // Handle deliver command from consumer client to producer client.
+  if (message.command === COMMAND_DELIVER) {
+    if (message.delivery !== null && this._deliveries[message.delivery] !== undefined) {
 
-      ret.then((feedback) => {
-        this.send(COMMAND_DELIVER, feedback, message.delivery);
-      });
+      // Fulfills or rejects promise for delivery.
+      settleDelivery.call(
+        this, message.delivery, message.data, message.error !== null ? deserializeError(message.error) : null
+      );
+
+      return;
     }
-  }, this);
+
+    // Delivery is not awaited anymore (e.g. it has timed out), it must not be answered again.
+    log.call(this, "warn", "Dropping feedback for unknown delivery.", {delivery: message.delivery});
+
+    return;
+  }
+
+  notify.call(this, "message", {
+    command: message.command,
+    data: message.data,
+    topic: message.topic === undefined ? null : message.topic,
+    delivery: message.delivery,
+  });
+
+  // Handle custom client command when handler registered.
+  let ret = executeCommandHandlers.call(this, uuid, client_name, iface, message);
+
+  // When there is delivery id attached, that means that sender wants to be notified with result that is returned.
+  // It is possible, that command handler is not returning anything despite sender asks for delivery.
+  // In such case, we are just to deliver null, but deliverance will be confirmed,
+  // and promise for it will become fulfilled on sender side.
+  settleCommandResult.call(this, message, ret, (feedback, error) => {
+    try {
+      enqueue.call(this, QUEUE_UNIQUE, prepareMsg(null, COMMAND_DELIVER, feedback, message.delivery, error));
+    }
+    catch (e) {
+      log.call(this, "warn", "Dropping feedback, client queue is full.", {delivery: message.delivery});
+    }
+  });
 }
 
 /**
@@ -1150,6 +5509,35 @@ class IpcClient {
      */
     this.verbose = options.verbose || false;
 
+    /**
+     * Logger, that diagnostics are written to.
+     * @type {logger}
+     * @private
+     */
+    this._logger = options.logger || new ConsoleLogger();
+
+    if (["debug", "info", "warn", "error"].some((level) => typeof this._logger[level] !== "function")) {
+      throw new Error("Logger must have \"debug\", \"info\", \"warn\" and \"error\" methods.");
+    }
+
+    /**
+     * Minimal level of logged entries, null means it depends on verbose property.
+     * @type {string|null}
+     * @private
+     */
+    this._log_level = options.log_level || null;
+
+    if (this._log_level !== null && LOG_LEVELS.indexOf(this._log_level) === -1) {
+      throw new Error(`Unknown log level "${this._log_level}".`);
+    }
+
+    /**
+     * Emitter of lifecycle events. Not inherited, as IpcClient#emit is a messaging method.
+     * @type {EventEmitter}
+     * @private
+     */
+    this._emitter = new EventEmitter();
+
     /**
      * Broadcast domain
      * @type {string}
@@ -1158,11 +5546,13 @@ class IpcClient {
     this._domain = options.domain || DOMAIN_DEFAULT;
 
     /**
-     * Broadcast unix socket file path
+     * Broadcast unix socket file path, starting with NUL byte in abstract namespace.
      * @type {string}
      * @private
      */
-    this._bcast_path = `${TMP_PATH}.${this._domain}`;
+    this._bcast_path = getDomainSocketPath(this._domain, options);
+
+    setupTransport.call(this, options);
 
     /**
      * UUID obtained from server after successful handshake.
@@ -1180,6 +5570,62 @@ class IpcClient {
      */
     this._client_name = options.name || uuidV4().replace(/-/g, "");
 
+    /**
+     * Set to true when client has no name passed, so it handshakes with random one.
+     * @type {boolean}
+     * @private
+     */
+    this._is_anonymous = !options.name;
+
+    /**
+     * Name client asks for during handshake. May differ from name assigned by server, when it is taken.
+     * @type {string}
+     * @private
+     */
+    this._handshake_name = this._client_name;
+
+    /**
+     * Names of groups, that client joins at handshake.
+     * @type {string[]}
+     * @private
+     */
+    this._groups = Array.isArray(options.groups) ? options.groups.slice() : [];
+
+    /**
+     * Indicates if client asks server to carry unique channel over handshake/broadcast connection.
+     * @type {boolean}
+     * @private
+     */
+    this._multiplex = options.multiplex === true;
+
+    /**
+     * Secret, that client proves it knows, when server challenges its handshake.
+     * @type {null|string}
+     * @private
+     */
+    this._secret = options.secret || null;
+
+    /**
+     * Token of session issued by server at handshake, sent with next handshake to resume session.
+     * @type {string|null}
+     * @private
+     */
+    this._session = null;
+
+    /**
+     * Set to true when last handshake has resumed previous session.
+     * @type {boolean}
+     * @private
+     */
+    this._is_resumed = false;
+
+    /**
+     * Set to true when server has announced at handshake, that it acknowledges messages.
+     * @type {boolean}
+     * @private
+     */
+    this._is_server_acking = false;
+
     /**
      * Set to true every time connection process starts.<br>
      * Set to false every time connection is finished, broken or error.
@@ -1195,6 +5641,13 @@ class IpcClient {
      */
     this._is_connected = false;
 
+    /**
+     * Set to true when IpcClient#disconnect is called, prevents client from reconnecting.
+     * @type {boolean}
+     * @private
+     */
+    this._is_disconnecting = false;
+
     /**
      * Semaphore that is used to indicate that unique socket queue is being emptied.
      * @type {boolean}
@@ -1217,69 +5670,290 @@ class IpcClient {
     this._emptying_bcast_queue = false;
 
     /**
-     * Queue of broadcast socket messages
-     * @type {array}
+     * Queue of broadcast socket messages
+     * @type {array}
+     * @private
+     */
+    this._bcast_queue = [];
+
+    /**
+     * Entries of messages written to sockets, but not yet acknowledged by server, keyed by message ids.
+     * @type {object}
+     * @private
+     */
+    this._unacked = {};
+
+    /**
+     * Time in ms for which ids of handled server messages are remembered.
+     * @type {number}
+     * @private
+     */
+    this._dedup_window = options.dedup_window || DEDUP_WINDOW_DEFAULT;
+
+    /**
+     * Timestamps of handling server messages, keyed by message ids.
+     * @type {object}
+     * @private
+     */
+    this._handled_msgs = {};
+
+    /**
+     * Promise for flushing queues resolve() function. Called when both queues become empty or client goes offline.
+     * @type {null|function}
+     * @private
+     */
+    this._flushPromiseResolve = null;
+
+    /**
+     * Socket used as basic communication layer between server and client, used for handshaking/broadcasting.
+     * @type {Socket}
+     * @private
+     */
+    this._bcastSocket = null;
+
+    /**
+     * Socket used for exclusive, 1 to 1 communication with server.
+     * @type {Socket}
+     * @private
+     */
+    this._uniqueSocket = null;
+
+    /**
+     * Collection of command handlers, passed to constructor or addHandler method.
+     * @type {object}
+     * @private
+     */
+    this._command_handlers = {};
+
+    /**
+     * Handler assigned each time client looses connection and tries to reconnect. Is nullified when connection is back.
+     * @type {null|function}
+     * @private
+     */
+    this._offlinePollingFn = null;
+
+    /**
+     * Reconnect strategy, null when reconnecting is disabled.
+     * @type {null|reconnect_options}
+     * @private
+     */
+    this._reconnect = options.reconnect === false ? null : Object.assign({}, RECONNECT_DEFAULTS, options.reconnect);
+
+    /**
+     * Number of reconnect attempts made since connection was lost. Reset when connection is established.
+     * @type {number}
+     * @private
+     */
+    this._reconnect_attempts = 0;
+
+    /**
+     * Promise for client connection resolve() function, null when there is no pending IpcClient#connect call.
+     * @type {null|function}
+     * @private
+     */
+    this._connectPromiseResolve = null;
+
+    /**
+     * Promise for client connection reject() function, null when there is no pending IpcClient#connect call.
+     * @type {null|function}
+     * @private
+     */
+    this._connectPromiseReject = null;
+
+    /**
+     * Determines if client is in the middle of discovering action.<br>
+     * Set to true on IpcClient#discover call, set to false when discovery response is received from server..
+     * @type {boolean}
+     * @private
+     */
+    this._is_discovering = false;
+
+    /**
+     * Promise for server discovery
+     * @type {null|Promise}
+     * @private
+     */
+    this._discoverPromise = null;
+
+    /**
+     * Promise for server discovery resolve() function. Called when discovery response is received from server.<br>
+     * Calling this function fulfills promise for server discovery.
+     * @type {null}
+     * @private
+     */
+    this._discoverPromiseResolve = null;
+
+    /**
+     * Collection of delivery promise settle functions and timeout handlers, keyed by delivery id.
+     * @type {object}
+     * @private
+     */
+    this._deliveries = {};
+
+    /**
+     * Topic patterns client is subscribed to, sent to server again on each connect.
+     * @type {string[]}
+     * @private
+     */
+    this._topics = [];
+
+    /**
+     * Heartbeat options, null when heartbeat is disabled.
+     * @type {null|heartbeat_options}
+     * @private
+     */
+    this._heartbeat = options.heartbeat ? Object.assign({}, HEARTBEAT_DEFAULTS, options.heartbeat) : null;
+
+    /**
+     * Heartbeat interval timer, null when client is not connected or heartbeat is disabled.
+     * @type {null|Timeout}
+     * @private
+     */
+    this._heartbeat_timer = null;
+
+    /**
+     * Queue limits.
+     * @type {queue_limit_options}
+     * @private
+     */
+    this._queue_limit = Object.assign({
+      max_length: 0,
+      max_bytes: 0,
+      overflow: QUEUE_OVERFLOW_REJECT,
+    }, options.queue_limit);
+
+    let queue_overflows = [QUEUE_OVERFLOW_REJECT, QUEUE_OVERFLOW_DROP_OLDEST, QUEUE_OVERFLOW_BLOCK];
+
+    if (queue_overflows.indexOf(this._queue_limit.overflow) === -1) {
+      throw new Error(`Unknown queue overflow policy "${this._queue_limit.overflow}".`);
+    }
+
+    /**
+     * Counters of messages, bytes and handler durations.
+     * @type {object}
+     * @private
+     */
+    this._stats = createStats();
+
+    /**
+     * Number of reconnect attempts made since client has been created.
+     * @type {number}
+     * @private
+     */
+    this._reconnect_count = 0;
+
+    /**
+     * Time client has connected at, null when it is not connected.
+     * @type {number|null}
+     * @private
+     */
+    this._connected_at = null;
+
+    /**
+     * Number of messages counting towards queue limits, that is queued or waiting for acknowledgement.
+     * @type {number}
+     * @private
+     */
+    this._pending_length = 0;
+
+    /**
+     * Size in bytes of messages counting towards queue limits.
+     * @type {number}
+     * @private
+     */
+    this._pending_bytes = 0;
+
+    /**
+     * Messages held by "block" overflow policy, until there is room in queue.
+     * @type {Array[]}
+     * @private
+     */
+    this._blocked_entries = [];
+
+    /**
+     * Persistent queue options, null when persistent queue is disabled.
+     * @type {null|persistent_queue_options}
+     * @private
+     */
+    this._persistent_queue = options.persistent_queue ? Object.assign({max_bytes: 0}, options.persistent_queue) : null;
+
+    if (this._persistent_queue !== null && !options.name) {
+      throw new Error("Option \"name\" is required by persistent queue, so restarted client finds its queue file.");
+    }
+
+    /**
+     * Path to queue file, null when persistent queue is disabled.
+     * Domain and name are encoded, so queue file stays in its directory, whatever they contain (e.g. "/" or "..").
+     * @type {null|string}
      * @private
      */
-    this._bcast_queue = [];
+    this._queue_path = this._persistent_queue === null
+      ? null
+      : path.join(
+        this._persistent_queue.dir,
+        `IPC.io.${encodeURIComponent(this._domain)}.${encodeURIComponent(this._handshake_name)}.queue`
+      );
 
     /**
-     * Socket used as basic communication layer between server and client, used for handshaking/broadcasting.
-     * @type {Socket}
+     * Sequence number of message last appended to queue file.
+     * @type {number}
      * @private
      */
-    this._bcastSocket = null;
+    this._queue_seq = 0;
 
     /**
-     * Socket used for exclusive, 1 to 1 communication with server.
-     * @type {Socket}
+     * Queue file lines of messages not yet acknowledged by server, keyed by sequence numbers.
+     * @type {object}
      * @private
      */
-    this._uniqueSocket = null;
+    this._queue_lines = {};
 
     /**
-     * Collection of command handlers, passed to constructor or addHandler method.
-     * @type {object}
+     * Size in bytes of queue file lines of messages not yet acknowledged by server.
+     * @type {number}
      * @private
      */
-    this._command_handlers = {};
+    this._queue_live_bytes = 0;
 
     /**
-     * Handler assigned each time client looses connection and tries to reconnect. Is nullified when connection is back.
-     * @type {null|function}
+     * Size in bytes of queue file.
+     * @type {number}
      * @private
      */
-    this._offlinePollingFn = null;
+    this._queue_file_bytes = 0;
 
     /**
-     * Determines if client is in the middle of discovering action.<br>
-     * Set to true on IpcClient#discover call, set to false when discovery response is received from server..
-     * @type {boolean}
+     * Queue file lines waiting to be appended to queue file.
+     * @type {string[]}
      * @private
      */
-    this._is_discovering = false;
+    this._queue_file_buffer = [];
 
     /**
-     * Promise for server discovery
-     * @type {null|Promise}
+     * Promise for queue file writes scheduled so far being done.
+     * @type {Promise}
      * @private
      */
-    this._discoverPromise = null;
+    this._queue_file_writing = Promise.resolve();
 
     /**
-     * Promise for server discovery resolve() function. Called when discovery response is received from server.<br>
-     * Calling this function fulfills promise for server discovery.
-     * @type {null}
+     * Determines if queue file compaction is scheduled.
+     * @type {boolean}
      * @private
      */
-    this._discoverPromiseResolve = null;
+    this._is_compacting = false;
+
+    // Messages queued by previous client process are sent first, on connect.
+    if (this._persistent_queue !== null) {
+      loadQueueFile.call(this);
+    }
 
     /**
-     * Collection of delivery promise resolve functions, keyed by delivery id.
-     * @type {object}
+     * Default time in ms after which delivery promise is rejected, 0 means no timeout.
+     * @type {number}
      * @private
      */
-    this._deliveries = {};
+    this._delivery_timeout = options.delivery_timeout || DELIVERY_TIMEOUT_DEFAULT;
 
     /**
      * Message encoding
@@ -1310,6 +5984,103 @@ class IpcClient {
     return this._is_connected || this._is_connecting;
   }
 
+  /**
+   * Returns size in bytes of messages, that are queued or waiting for server acknowledgement.
+   * @returns {number}
+   */
+  getPendingBytes() {
+    return this._pending_bytes;
+  }
+
+  /**
+   * Returns counters of messages and bytes received and sent by command, histograms of command handler execution
+   * times, reconnect count, and gauges of queues and deliveries.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * let stats = exampleClient.getStats();
+   *
+   * console.log(`Client has ${stats.queue_length} messages queued and has reconnected ${stats.reconnects} times.`);
+   * ```
+   * @returns {client_stats}
+   */
+  getStats() {
+    return Object.assign(JSON.parse(JSON.stringify(this._stats)), {
+      domain: this._domain,
+      client_name: this._client_name,
+      connected: this._is_connected,
+      uptime: this._connected_at === null ? 0 : Date.now() - this._connected_at,
+      reconnects: this._reconnect_count,
+      queue_length: this._queue.length,
+      bcast_queue_length: this._bcast_queue.length,
+      blocked_length: this._blocked_entries.length,
+      unacked_length: Object.keys(this._unacked).length,
+      pending_bytes: this._pending_bytes,
+      pending_deliveries: Object.keys(this._deliveries).length,
+    });
+  }
+
+  /**
+   * Adds listener of lifecycle event. Available events:<br>
+   * "connect" ({uuid, name, resumed}) - client has completed handshake and is connected,
+   * resumed is true, when server has kept its session,<br>
+   * "disconnect" ({uuid, name}) - connection with server has been lost or closed,<br>
+   * "reconnecting" ({attempt, delay}) - reconnect attempt is scheduled after delay in ms,<br>
+   * "heartbeat_timeout" ({missed}) - server has not answered pings, client reconnects,<br>
+   * "reconnect_failed" ({attempts}) - reconnect attempts are exhausted, client gives up,<br>
+   * "handshake_rejected" ({name, code}) - server has rejected handshake, client is stopped,<br>
+   * "evicted" ({name, code}) - another client has taken over name of this client, client is stopped,<br>
+   * "message" ({command, data, topic, delivery}) - command has been received, before its handler is executed,<br>
+   * "error" (Error) - socket error occurred.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * exampleClient.on("disconnect", () => {
+   *   console.log("Connection with server is lost.");
+   * });
+   * ```
+   * @param {string} event      Event name.
+   * @param {function} listener Function called with event payload.
+   * @returns {module:ipcIO.IpcClient}
+   */
+  on(event, listener) {
+    this._emitter.on(event, listener);
+
+    return this;
+  }
+
+  /**
+   * Adds listener of lifecycle event, that is called only once. See IpcIO.Client#on for available events.
+   * @param {string} event      Event name.
+   * @param {function} listener Function called with event payload.
+   * @returns {module:ipcIO.IpcClient}
+   */
+  once(event, listener) {
+    this._emitter.once(event, listener);
+
+    return this;
+  }
+
+  /**
+   * Removes listener of lifecycle event.
+   * @param {string} event      Event name.
+   * @param {function} listener Function previously added.
+   * @returns {module:ipcIO.IpcClient}
+   */
+  off(event, listener) {
+    this._emitter.removeListener(event, listener);
+
+    return this;
+  }
+
   /**
    * Adds handlers at any time, regardless client state.
    * @example
@@ -1342,28 +6113,115 @@ class IpcClient {
   }
 
   /**
-   * Connects client to the server.
-   * @returns {Promise} Promise for client unique socket connection
+   * Connects client to the server.<br>
+   * When server is unavailable, client attempts to reconnect according to reconnect strategy.
+   * @returns {Promise} Promise for client unique socket connection, rejected with IpcError when reconnecting is
+   *                    disabled or reconnect attempts are exhausted, or when server rejects handshake.
    */
   connect() {
 
-    feedConsole.call(this, "CLI CLASS.connect()");
+    log.call(this, "debug", "CLI CLASS.connect()");
 
     if (this._is_connecting || this._is_connected) {
       throw new Error(`Tried to connect to IPC server for domain ${this._domain}, when already connected/ing.`);
     }
     this._is_connecting = true;
+    this._reconnect_attempts = 0;
 
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
+      this._connectPromiseResolve = resolve;
+      this._connectPromiseReject = reject;
       this._bcastSocket = spawnClientSocket.call(this);
-      this._bcastSocket.connect(this._bcast_path, $onClientBcastConnect.bind(this, resolve));
+      this._bcastSocket.connect(getBcastAddress.call(this), $onClientBcastConnect.bind(this));
+    });
+  }
+
+  /**
+   * Disconnects client from the server and stops it from reconnecting.<br>
+   * When flush is requested and client is connected, queued messages are sent before sockets are closed.
+   * Otherwise, queued messages are kept and will be sent once client is connected again.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient
+   *   .disconnect(true)
+   *   .then(() => {
+   *     // Do something when queued messages are sent and sockets are closed.
+   *   })
+   * ;
+   * ```
+   * @param {boolean} flush Determines if queued messages are to be sent before disconnecting.
+   * @returns {Promise}     Promise for client sockets being closed.
+   * @throws Error If client is neither connected nor connecting.
+   */
+  disconnect(flush = false) {
+
+    log.call(this, "debug", "CLI CLASS.disconnect()", {flush: flush});
+
+    if (!this._is_connecting && !this._is_connected) {
+      throw new Error(`Tried to disconnect from IPC server for domain ${this._domain}, when not connected/ing.`);
+    }
+
+    this._is_disconnecting = true;
+
+    // Cancel pending reconnect attempt.
+    if (this._offlinePollingFn !== null) {
+      clearTimeout(this._offlinePollingFn);
+      this._offlinePollingFn = null;
+    }
+
+    let flushing = new Promise((resolve) => {
+      if (flush && this._is_connected) {
+        this._flushPromiseResolve = resolve;
+        checkQueuesFlushed.call(this);
+      }
+      else {
+        resolve();
+      }
     });
+
+    return flushing
+      .then(() => {
+        let sockets = [this._uniqueSocket, this._bcastSocket].filter((socket) => socket instanceof net.Socket);
+
+        // Server is told, that session is not to be kept for resumption.
+        sockets.forEach((socket) => {
+          if (socket === this._uniqueSocket && socket.writable) {
+            writeMsg.call(this, socket, prepareMsg(COMMAND_SHUTDOWN, null));
+            socket.end();
+          }
+          else {
+            socket.end();
+          }
+        });
+
+        // Queue file is up to date, before client is reported disconnected.
+        return Promise.all(sockets.map(whenSocketClosed).concat(this._queue_file_writing));
+      })
+      .then(() => {
+        this._session = null;
+        this._is_disconnecting = false;
+
+        rejectLostDeliveries.call(this, false);
+        this._is_connecting = false;
+        this._is_connected = false;
+
+        log.call(this, "info", "CLI DISCONNECTED", getBcastAddress.call(this));
+
+        return this;
+      })
+    ;
   }
 
   /**
    * Puts command with data queue, calls queue handler.<br>
    * Command is sent immediately to server when there is connection established and previous entries become sent.<br>
-   * Returned promise is fulfilled when message was successfully received by server.
+   * Returned promise is fulfilled when server acknowledges message, it is sent again after reconnect otherwise.
    * @example
    * ```js
    * const exampleClient = new ipcio.Client({
@@ -1387,11 +6245,10 @@ class IpcClient {
    */
   send(command, data, delivery = null) {
 
-    feedConsole.call(this, `CLI CLASS.send(${command}, ${JSON.stringify(data)}, ${delivery})`);
+    log.call(this, "debug", "CLI CLASS.send()", {command: command, delivery: delivery, data: data});
 
-    return new Promise((resolve) => {
-      this._queue.push([prepareMsg(null, command, data, delivery), resolve]);
-      handleQueue.call(this);
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_UNIQUE, prepareMsg(null, command, data, delivery), resolve, reject);
     });
   }
 
@@ -1412,6 +6269,7 @@ class IpcClient {
    *   .discover()
    *   .then((result) => {
    *     console.log(result); // { clients: [ 'example_client' ],
+   *                          // groups: { example_group: [ 'example_client' ] },
    *                          // command_handlers: [ 'example_request_command', 'other_request_command' ] }
    *   })
    * ;
@@ -1420,7 +6278,7 @@ class IpcClient {
    */
   discover() {
 
-    feedConsole.call(this, "CLI CLASS.discover()");
+    log.call(this, "debug", "CLI CLASS.discover()");
 
     if (!this._is_discovering) {
       this._discoverPromise = new Promise((resolve) => {
@@ -1438,7 +6296,7 @@ class IpcClient {
    * Requests server to write to all client sockets within server domain, except this client.<br>
    * Puts command with data to broadcast socket queue, calls queue handler.<br>
    * Command is emitted immediately when there is connection established and previous entries become emitted.<br>
-   * Returned promise is fulfilled when message was successfully received by server.
+   * Returned promise is fulfilled when server acknowledges message, it is sent again after reconnect otherwise.
    * @example
    * ```js
    * const exampleClient = new ipcio.Client({
@@ -1460,15 +6318,177 @@ class IpcClient {
    */
   broadcast(command, data) {
 
-    feedConsole.call(this, `CLI CLASS.broadcast(${command}, ${JSON.stringify(data)})`);
+    log.call(this, "debug", "CLI CLASS.broadcast()", {command: command, data: data});
 
-    return new Promise((resolve) => {
-      this._bcast_queue.push([prepareMsg(
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_BCAST, prepareMsg(
         this._client_name,
         COMMAND_BROADCAST,
         prepareMsg(command, data)
-      ), resolve]);
-      handleBcastQueue.call(this);
+      ), resolve, reject);
+    });
+  }
+
+  /**
+   * Requests server to deliver command to all clients within server domain, except this client,
+   * and to deliver back their collected feedbacks.<br>
+   * Puts command with data to broadcast socket queue, calls queue handler.<br>
+   * Returned promise is fulfilled when all clients delivered feedback, failed or timed out, or as soon as
+   * min_responses clients delivered feedback successfully.
+   * Returned promise is rejected with IpcError when fewer than min_responses clients delivered feedback successfully.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient
+   *   .broadcastDeliver("flush_cache", null, {timeout: 5000, min_responses: 2})
+   *   .then((responses) => {
+   *     console.log(`Caches flushed by ${Object.keys(responses.results)}.`);
+   *   })
+   * ;
+   * ```
+   * @param {string|null} command                 Command description
+   * @param {string|null} data                    Data carried by message.
+   * @param {broadcast_delivery_options} options  Options of this broadcast delivery.
+   * @returns {Promise} Promise for broadcast_delivery_responses.
+   */
+  broadcastDeliver(command, data, options = {}) {
+
+    log.call(this, "debug", "CLI CLASS.broadcastDeliver()", {command: command, data: data});
+
+    let delivery = uuidV4().replace(/-/g, "");
+
+    return new Promise((resolve, reject) => {
+      let msg_id = enqueue.call(this, QUEUE_BCAST, prepareMsg(
+        this._client_name,
+        COMMAND_BROADCAST,
+        {
+          message: prepareMsg(command, data),
+          timeout: options.timeout,
+          min_responses: options.min_responses,
+        },
+        delivery
+      ), null, (error) => settleDelivery.call(this, delivery, null, error));
+
+      // Server takes care of timing out clients, so it is going to deliver feedbacks in time,
+      // unless it forgets delivery along with previous session.
+      registerDelivery.call(this, delivery, resolve, reject, 0);
+      this._deliveries[delivery].msg_id = msg_id;
+    }).then((responses) => mapResponsesErrors(responses, deserializeError));
+  }
+
+  /**
+   * Subscribes client to messages published to topics matching given pattern.<br>
+   * Pattern segment "*" matches exactly one topic segment, "#" matches zero or more segments.<br>
+   * Subscriptions are restored automatically after reconnect.<br>
+   * Returned promise is fulfilled when subscription was successfully received by server.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * }, {
+   *   order_changed: ({data, topic}) => {
+   *     console.log(`Order ${data.id} published to ${topic}.`);
+   *   },
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient.subscribe("orders.*");
+   * ```
+   * @param {string} pattern  Topic pattern, segments are separated with dots.
+   * @returns {Promise}
+   */
+  subscribe(pattern) {
+
+    log.call(this, "debug", "CLI CLASS.subscribe()", {topic: pattern});
+
+    validateTopic(pattern);
+
+    if (this._topics.indexOf(pattern) === -1) {
+      this._topics.push(pattern);
+    }
+
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_UNIQUE, prepareMsg(COMMAND_SUBSCRIBE, [pattern]), resolve, reject);
+    });
+  }
+
+  /**
+   * Cancels subscription made with the same pattern.<br>
+   * Returned promise is fulfilled when cancellation was successfully received by server.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient.unsubscribe("orders.*");
+   * ```
+   * @param {string} pattern  Topic pattern, that client was subscribed to.
+   * @returns {Promise}
+   */
+  unsubscribe(pattern) {
+
+    log.call(this, "debug", "CLI CLASS.unsubscribe()", {topic: pattern});
+
+    validateTopic(pattern);
+
+    if (this._topics.indexOf(pattern) > -1) {
+      this._topics.splice(this._topics.indexOf(pattern), 1);
+    }
+
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_UNIQUE, prepareMsg(COMMAND_UNSUBSCRIBE, [pattern]), resolve, reject);
+    });
+  }
+
+  /**
+   * Requests server to write command to all clients subscribed to topic pattern matching given topic,
+   * except this client.<br>
+   * Puts command with data to broadcast socket queue, calls queue handler.<br>
+   * Returned promise is fulfilled when server acknowledges message, it is sent again after reconnect otherwise.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient
+   *   .publish("orders.created", "order_changed", {id: 1})
+   *   .then(() => {
+   *     // Do something when message is successfully received by server.
+   *   })
+   * ;
+   * ```
+   * @param {string} topic        Topic, segments are separated with dots.
+   * @param {string|null} command Command description
+   * @param {string|null} data    Data carried by message.
+   * @returns {Promise}
+   */
+  publish(topic, command, data) {
+
+    log.call(this, "debug", "CLI CLASS.publish()", {topic: topic, command: command, data: data});
+
+    validateTopic(topic);
+
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_BCAST, prepareMsg(
+        this._client_name,
+        COMMAND_PUBLISH,
+        {
+          topic: topic,
+          message: prepareMsg(command, data),
+        }
+      ), resolve, reject);
     });
   }
 
@@ -1476,7 +6496,9 @@ class IpcClient {
    * Requests server to write command, to client with name given as first argument.<br>
    * Puts command with data to broadcast socket queue, calls queue handler.<br>
    * Command is emitted immediately when there is connection established and previous entries become emitted.<br>
-   * Returned promise is fulfilled when message was successfully received by server.
+   * Returned promise is fulfilled when server acknowledges message, it is sent again after reconnect otherwise.<br>
+   * Returned promise is rejected with IpcError, when destination client is not connected and server can not buffer
+   * message for it, or when server drops message, as destination client does not keep up with reading.
    * @example
    * ```js
    * const exampleClient = new ipcio.Client({
@@ -1499,15 +6521,14 @@ class IpcClient {
    */
   emit(client_name, command, data) {
 
-    feedConsole.call(this, `CLI CLASS.emit(${client_name}, ${command}, ${JSON.stringify(data)})`);
+    log.call(this, "debug", "CLI CLASS.emit()", {recipient: client_name, command: command, data: data});
 
-    return new Promise((resolve) => {
-      this._bcast_queue.push([prepareMsg(
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_BCAST, prepareMsg(
         this._client_name,
         COMMAND_EMIT,
         prepareMsg(client_name, command, data)
-      ), resolve]);
-      handleBcastQueue.call(this);
+      ), resolve, reject);
     });
   }
 
@@ -1517,7 +6538,11 @@ class IpcClient {
    * on the remote side and delivered back to requester client.<br>
    * When client_name is omitted, deliver is performed to server.
    * Command is emitted immediately when there is connection established and previous entries become emitted.<br>
-   * Returned promise is fulfilled when message was successfully received and processed by destination party.
+   * Returned promise is fulfilled when message was successfully received and processed by destination party.<br>
+   * Returned promise is rejected with IpcError when destination client is not connected, when command handler
+   * throws or rejects (name, message and code of its error are delivered back), when delivery times out,
+   * or when server drops request, as destination client does not keep up with reading.<br>
+   * Either client disconnecting before feedback is delivered rejects promise with E_PEER_DISCONNECTED code.
    * @example
    * ```js
    * const exampleClient = new ipcio.Client({
@@ -1531,16 +6556,23 @@ class IpcClient {
    *   .then((feedback) => {
    *     console.log(`We know that delivery is confirmed and we have a ${feedback}.`);
    *   })
+   *   .catch((error) => {
+   *     console.log(`Delivery failed with ${error.name} "${error.message}", code: ${error.code}.`);
+   *   })
    * ;
+   *
+   * // Deliver to the server, with timeout.
+   * exampleClient.deliver(null, "example_command", {prop1: "prop1"}, {timeout: 1000});
    * ```
-   * @param {string} client_name  Friendly name of client
-   * @param {string|null} command Command description
-   * @param {string|null} data    Data carried by message
+   * @param {string|null} client_name   Friendly name of client, null delivers to the server.
+   * @param {string|null} command       Command description
+   * @param {string|null} data          Data carried by message
+   * @param {delivery_options} options  Options of this delivery, client_name has to be passed explicitly to use them.
    * @returns {Promise}
    */
-  deliver(client_name, command, data) {
+  deliver(client_name, command, data, options = {}) {
 
-    feedConsole.call(this, `CLI CLASS.deliver(${client_name}, ${command}, ${JSON.stringify(data)})`);
+    log.call(this, "debug", "CLI CLASS.deliver()", {recipient: client_name, command: command, data: data});
 
     if (data === undefined) {
       data = command;
@@ -1548,25 +6580,128 @@ class IpcClient {
       client_name = null;
     }
     let delivery = uuidV4().replace(/-/g, "");
+    let timeout = options.timeout === undefined ? this._delivery_timeout : options.timeout;
 
-    return new Promise((resolve) => {
-      this._deliveries[delivery] = resolve;
-
+    return new Promise((resolve, reject) => {
       if (client_name !== null) { // Our client emits to client of given name, so we are emitting to bcast socket.
-        this._bcast_queue.push([prepareMsg(
+        let msg_id = enqueue.call(this, QUEUE_BCAST, prepareMsg(
           this._client_name,
           COMMAND_EMIT,
           prepareMsg(client_name, command, data, delivery),
           delivery
-        )]);
-        handleBcastQueue.call(this);
+        ), null, (error) => settleDelivery.call(this, delivery, null, error));
+
+        // Server routes feedback, so delivery is lost, when server forgets it along with previous session.
+        registerDelivery.call(this, delivery, resolve, reject, timeout, client_name);
+        this._deliveries[delivery].msg_id = msg_id;
       }
       else { // No client name specified, this is just a request to server.
-        this._queue.push([prepareMsg(null, command, data, delivery)]);
-        handleQueue.call(this);
+        let msg_id = enqueue.call(
+          this, QUEUE_UNIQUE, prepareMsg(null, command, data, delivery),
+          null, (error) => settleDelivery.call(this, delivery, null, error)
+        );
+
+        // Feedback is lost, when server forgets previous session before it is written.
+        registerDelivery.call(this, delivery, resolve, reject, timeout);
+        this._deliveries[delivery].msg_id = msg_id;
       }
     });
   }
+
+  /**
+   * Requests server to write command to single member of group, picked with strategy given in options.<br>
+   * Puts command with data to broadcast socket queue, calls queue handler.<br>
+   * Returned promise is fulfilled when server acknowledges message, it is sent again after reconnect otherwise.<br>
+   * Returned promise is rejected with IpcError, when group has no connected members, when "hash" strategy is missing
+   * its key, or when server drops message, as picked member does not keep up with reading.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient.emitGroup("resizers", "resize", {file: "a.png"}, {strategy: "round_robin"});
+   * ```
+   * @param {string} group            Name of group.
+   * @param {string|null} command     Command description
+   * @param {string|null} data        Data carried by message
+   * @param {group_options} options   Options determining strategy.
+   * @returns {Promise}
+   */
+  emitGroup(group, command, data, options = {}) {
+
+    log.call(this, "debug", "CLI CLASS.emitGroup()", {group: group, command: command, data: data});
+
+    return new Promise((resolve, reject) => {
+      enqueue.call(this, QUEUE_BCAST, prepareMsg(
+        this._client_name,
+        COMMAND_GROUP,
+        {
+          group: group,
+          message: prepareMsg(command, data),
+          strategy: options.strategy,
+          key: options.key,
+        }
+      ), resolve, reject);
+    });
+  }
+
+  /**
+   * Requests server to deliver command to single member of group, picked with strategy given in options.<br>
+   * When picked member disconnects before delivering feedback, server delivers command to another member.<br>
+   * Returned promise is fulfilled with value returned by member command handler.<br>
+   * Returned promise is rejected with IpcError when group has no connected members left, when command handler throws
+   * or rejects, or when delivery times out.
+   * @example
+   * ```js
+   * const exampleClient = new ipcio.Client({
+   *   // Client instantiation options
+   * });
+   *
+   * // Some code...
+   *
+   * exampleClient
+   *   .deliverGroup("resizers", "resize", {file: "a.png"}, {strategy: "hash", key: "a.png"})
+   *   .then((feedback) => {
+   *     console.log(`File resized to ${feedback}.`);
+   *   })
+   * ;
+   * ```
+   * @param {string} group            Name of group.
+   * @param {string|null} command     Command description
+   * @param {string|null} data        Data carried by message
+   * @param {group_options} options    Options determining strategy and behavior of delivery.
+   * @returns {Promise}
+   */
+  deliverGroup(group, command, data, options = {}) {
+
+    log.call(this, "debug", "CLI CLASS.deliverGroup()", {group: group, command: command, data: data});
+
+    let delivery = uuidV4().replace(/-/g, "");
+    let timeout = options.timeout === undefined ? this._delivery_timeout : options.timeout;
+
+    return new Promise((resolve, reject) => {
+      let msg_id = enqueue.call(this, QUEUE_BCAST, prepareMsg(
+        this._client_name,
+        COMMAND_GROUP,
+        {
+          group: group,
+          message: prepareMsg(command, data),
+          strategy: options.strategy,
+          key: options.key,
+          timeout: timeout,
+        },
+        delivery
+      ), null, (error) => settleDelivery.call(this, delivery, null, error));
+
+      // Server times out each attempt, so it is going to deliver feedback in time,
+      // unless it forgets delivery along with previous session.
+      registerDelivery.call(this, delivery, resolve, reject, 0);
+      this._deliveries[delivery].msg_id = msg_id;
+    });
+  }
 }
 
 module.exports.Client = IpcClient;
@@ -0,0 +1,134 @@
+/**
+ * Server with secret challenges each handshake, and accepts only clients, that prove they know secret of their name.
+ * Authenticated clients are multiplexed, and can not speak for other clients, or handshake again under other name.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const path = require("path");
+const {execFile} = require("child_process");
+const ipcio = require("../ipcio");
+const {run, once, rejectionCode, connectRaw, socketPath} = require("./support/helpers");
+
+const CLI_PATH = path.join(__dirname, "..", "bin", "ipcio.js");
+const SOCKET_PATH = socketPath("authentication");
+
+/**
+ * Returns digest, that answers challenge of server.
+ * @param {string} secret
+ * @param {string} nonce
+ * @param {string} client_name
+ * @returns {string}
+ */
+function answerChallenge(secret, nonce, client_name) {
+  return crypto.createHmac("sha256", secret).update(`${nonce}:${client_name}`).digest("hex");
+}
+
+/**
+ * Connects raw peer, that answers challenge of its handshake with given name and secret.
+ * @param {string} client_name
+ * @param {string} secret
+ * @returns {Promise}  Promise for raw peer.
+ */
+async function connectAuthenticated(client_name, secret) {
+  let peer = await connectRaw(SOCKET_PATH);
+
+  peer.write({id: null, command: "handshake", data: {name: client_name}});
+  peer.write({
+    id: null,
+    command: "$ipcio:challenge",
+    data: answerChallenge(secret, (await peer.next("$ipcio:challenge")).data, client_name),
+  });
+
+  return peer;
+}
+
+async function main() {
+  let rejections = [];
+  let server = new ipcio.Server({path: SOCKET_PATH, secret: {alice: "alice secret", bob: "bob secret"}}, {
+    whoami: (container) => container.name,
+  });
+
+  server.on("handshake_rejected", (data) => rejections.push(`${data.name} ${data.code}`));
+  await server.start();
+
+  // Authenticated client is multiplexed, as connection to separate channel would not be authenticated.
+  let alice = new ipcio.Client({path: SOCKET_PATH, name: "alice", secret: "alice secret"});
+
+  await alice.connect();
+  assert.strictEqual(alice._uniqueSocket, alice._bcastSocket);
+  assert.strictEqual(await alice.deliver(null, "whoami", null), "alice");
+
+  // Secret of another client, missing secret, or name without secret, is not enough.
+  for (let options of [
+    {name: "bob", secret: "alice secret"},
+    {name: "bob"},
+    {name: "mallory", secret: "alice secret"},
+  ]) {
+    let client = new ipcio.Client(Object.assign({path: SOCKET_PATH, reconnect: false}, options));
+
+    assert.strictEqual(await rejectionCode(client.connect()), ipcio.codes.E_AUTH_FAILED);
+  }
+  assert.deepStrictEqual(rejections, ["bob 203", "bob 203", "mallory 203"]);
+
+  // Unauthenticated connection may only handshake.
+  let intruder = await connectRaw(SOCKET_PATH);
+  let intruder_closed = once(intruder.socket, "close");
+
+  intruder.write({id: "alice", command: "whoami", data: null, delivery: "d1"});
+  assert.strictEqual((await intruder.next("error")).data, ipcio.codes.E_AUTH_FAILED);
+  await intruder_closed;
+
+  // Wrong answer to challenge is rejected.
+  let guess = await connectAuthenticated("bob", "guess");
+
+  assert.strictEqual((await guess.next("error")).data, ipcio.codes.E_AUTH_FAILED);
+
+  // Authenticated client speaks for itself, whatever name it puts to messages.
+  let bob = await connectAuthenticated("bob", "bob secret");
+  let bob_closed = once(bob.socket, "close");
+  let handshake = await bob.next("handshake");
+
+  assert.strictEqual(handshake.data.multiplex, true);
+  bob.write({id: "alice", channel: handshake.data.uuid, command: "whoami", data: null, delivery: "d2"});
+  assert.strictEqual((await bob.next("deliver")).data, "bob");
+
+  // Connection, that has authenticated, can not handshake again under other name without its secret.
+  bob.write({id: null, command: "handshake", data: {name: "alice"}});
+  bob.write({
+    id: null,
+    command: "$ipcio:challenge",
+    data: answerChallenge("bob secret", (await bob.next("$ipcio:challenge")).data, "alice"),
+  });
+  assert.strictEqual((await bob.next("error")).data, ipcio.codes.E_AUTH_FAILED);
+  await bob_closed;
+
+  // Command-line tool reads secret from environment.
+  let cli = (env) => new Promise((resolve) => {
+    let args = [CLI_PATH, "deliver", "authentication", "whoami", "--name", "alice"];
+
+    args.push("--socket-dir", path.dirname(SOCKET_PATH));
+
+    execFile(process.execPath, args, {env: Object.assign({}, process.env, env), timeout: 10000}, (error, stdout) => {
+      resolve(error === null ? JSON.parse(stdout) : error.code);
+    });
+  });
+
+  await alice.disconnect();
+  await server.stop(500);
+
+  let domain_server = new ipcio.Server({
+    domain: "authentication",
+    socket_dir: path.dirname(SOCKET_PATH),
+    secret: "domain secret",
+  }, {
+    whoami: (container) => container.name,
+  });
+
+  await domain_server.start();
+  assert.strictEqual(await cli({IPCIO_SECRET: "domain secret"}), "alice");
+  assert.strictEqual(await cli({IPCIO_SECRET: ""}), 1);
+  await domain_server.stop(500);
+}
+
+run(main, "Only clients, that know their secret, are accepted.");
@@ -0,0 +1,126 @@
+/**
+ * Command-line tool lists domains, and discovers, sends, delivers, emits, broadcasts and tails traffic of domain,
+ * as any other client would.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {execFile, spawn} = require("child_process");
+const ipcio = require("../ipcio");
+const {run, wait, once} = require("./support/helpers");
+
+const CLI_PATH = path.join(__dirname, "..", "bin", "ipcio.js");
+const DOMAIN = "cli";
+
+/**
+ * Runs command-line tool, without blocking event loop of server and clients in this process.
+ * @param {string[]} args
+ * @returns {Promise}  Promise for {code, stdout, stderr}.
+ */
+function cli(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI_PATH].concat(args), {timeout: 10000}, (error, stdout, stderr) => {
+      resolve({code: error === null ? 0 : error.code, stdout: stdout, stderr: stderr});
+    });
+  });
+}
+
+async function main() {
+  let socket_dir = fs.mkdtempSync(path.join(os.tmpdir(), "ipcio_test_cli_"));
+  let dir_options = ["--socket-dir", socket_dir];
+  let server_received = [];
+  let client_received = [];
+
+  let server = new ipcio.Server({domain: DOMAIN, socket_dir: socket_dir}, {
+    echo: (container) => ({echoed: container.data}),
+    note: (container) => {
+      server_received.push(container.data);
+    },
+  });
+  let client = new ipcio.Client({domain: DOMAIN, socket_dir: socket_dir, name: "target"}, {
+    ping: (container) => {
+      client_received.push(container.data);
+
+      return "pong";
+    },
+  });
+
+  await server.start();
+  await client.connect();
+
+  // Files, that are not sockets, are not listed.
+  fs.writeFileSync(path.join(socket_dir, `${path.basename(ipcio.socket_prefix)}.file`), "");
+
+  let result = await cli(["list"].concat(dir_options));
+
+  assert.strictEqual(result.code, 0);
+  assert.strictEqual(result.stdout, `${DOMAIN}\talive\n`);
+
+  result = await cli(["discover", DOMAIN].concat(dir_options));
+  assert.strictEqual(result.code, 0);
+
+  let discovered = JSON.parse(result.stdout);
+
+  assert.ok(discovered.clients.includes("target"));
+  assert.ok(discovered.command_handlers.includes("echo"));
+
+  result = await cli(["deliver", DOMAIN, "echo", "{\"a\": 1}"].concat(dir_options));
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(JSON.parse(result.stdout), {echoed: {a: 1}});
+
+  result = await cli(["deliver", DOMAIN, "ping", "1", "--to", "target"].concat(dir_options));
+  assert.strictEqual(result.code, 0);
+  assert.strictEqual(JSON.parse(result.stdout), "pong");
+
+  // Data, that is not JSON, is sent as string.
+  result = await cli(["send", DOMAIN, "note", "not json"].concat(dir_options));
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(server_received, ["not json"]);
+
+  result = await cli(["emit", DOMAIN, "target", "ping", "2"].concat(dir_options));
+  assert.strictEqual(result.code, 0);
+  result = await cli(["broadcast", DOMAIN, "ping", "3"].concat(dir_options));
+  assert.strictEqual(result.code, 0);
+  await wait(100);
+  assert.deepStrictEqual(client_received, [1, 2, 3]);
+
+  // Errors are printed with their codes.
+  result = await cli(["emit", DOMAIN, "nobody", "ping"].concat(dir_options));
+  assert.strictEqual(result.code, 1);
+  assert.ok(result.stderr.includes(`(${ipcio.codes.E_RECIPIENT_UNKNOWN})`), result.stderr);
+
+  result = await cli(["deliver", DOMAIN]);
+  assert.strictEqual(result.code, 1);
+  assert.ok(result.stderr.includes("Invalid command"));
+
+  result = await cli(["--help"]);
+  assert.strictEqual(result.code, 0);
+  assert.ok(result.stdout.startsWith("Usage: ipcio"));
+
+  // Tail prints published messages until it is interrupted.
+  let tail = spawn(process.execPath, [CLI_PATH, "tail", DOMAIN].concat(dir_options));
+  let tail_stdout = "";
+
+  tail.stdout.on("data", (chunk) => {
+    tail_stdout += chunk;
+  });
+  await once(tail.stderr, "data");
+  await wait(100);
+  server.publish("news.local", "headline", "hello");
+  await wait(100);
+
+  let tail_exit = once(tail, "exit");
+
+  tail.kill("SIGTERM");
+  assert.strictEqual((await tail_exit)[0], 0);
+  assert.ok(tail_stdout.endsWith(" headline [news.local] \"hello\"\n"), tail_stdout);
+
+  await client.disconnect();
+  await server.stop(500);
+  fs.readdirSync(socket_dir).forEach((file) => fs.unlinkSync(path.join(socket_dir, file)));
+  fs.rmdirSync(socket_dir);
+}
+
+run(main, "Command-line tool talks to domain.");
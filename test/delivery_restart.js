@@ -0,0 +1,101 @@
+/**
+ * Deliveries, which requests server has forgotten along with previous session, are rejected once client reconnects
+ * to restarted server. Requests still waiting in client queues are sent to restarted server.
+ */
+
+const assert = require("assert");
+const ipcio = require("../ipcio");
+
+const DOMAIN = `test_delivery_restart_${process.pid}`;
+
+/**
+ * Returns server, which "slow" command handler never settles, so its feedback is pending when server restarts.
+ * @returns {Promise} Promise for started server.
+ */
+function startServer() {
+  let server = new ipcio.Server({domain: DOMAIN}, {
+    slow: () => new Promise(() => {}),
+    fast: (container) => container.data * 2,
+  });
+
+  return server.start();
+}
+
+/**
+ * Waits until given client emits "connect" event.
+ * @param {module:ipcIO.IpcClient} client
+ * @returns {Promise}
+ */
+function whenReconnected(client) {
+  return new Promise((resolve) => client.once("connect", resolve));
+}
+
+/**
+ * Returns promise settled with code of error, that given promise is rejected with.
+ * @param {Promise} promise
+ * @returns {Promise}
+ */
+function rejectionCode(promise) {
+  return promise.then(
+    (result) => assert.fail(`Promise was fulfilled with ${JSON.stringify(result)}.`),
+    (error) => error.code
+  );
+}
+
+const guard = setTimeout(() => {
+  console.error("Test has timed out.");
+  process.exit(1);
+}, 10000);
+
+let client = new ipcio.Client({
+  domain: DOMAIN,
+  name: "worker",
+  reconnect: {delay: 50, jitter: 0},
+});
+let member = new ipcio.Client({
+  domain: DOMAIN,
+  name: "member",
+  groups: ["workers"],
+  reconnect: {delay: 50, jitter: 0},
+}, {
+  slow: () => new Promise(() => {}),
+});
+
+startServer()
+  .then((server) => Promise.all([client.connect(), member.connect()]).then(() => {
+    let to_server = rejectionCode(client.deliver(null, "slow", 1));
+    let to_group = rejectionCode(client.deliverGroup("workers", "slow", 1));
+    let to_all = rejectionCode(client.broadcastDeliver("slow", 1));
+
+    // Requests are handled and acknowledged, but their feedback is pending, when server goes down.
+    return new Promise((resolve) => setTimeout(resolve, 200))
+      .then(() => server.stop(500))
+      .then(() => {
+        // Request queued while server is down is sent to restarted server.
+        let queued = client.deliver(null, "fast", 21);
+
+        return Promise.all([startServer(), whenReconnected(client)])
+          .then((started) => Promise.all([to_server, to_group, to_all, queued]).then((results) => {
+            assert.deepStrictEqual(results, [
+              ipcio.codes.E_PEER_DISCONNECTED,
+              ipcio.codes.E_PEER_DISCONNECTED,
+              ipcio.codes.E_PEER_DISCONNECTED,
+              42,
+            ]);
+
+            return started[0];
+          }))
+        ;
+      })
+    ;
+  }))
+  .then((server) => Promise.all([client.disconnect(), member.disconnect()]).then(() => server.stop(500)))
+  .then(() => {
+    clearTimeout(guard);
+    console.log("Deliveries forgotten by restarted server are rejected.");
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  })
+;
@@ -0,0 +1,67 @@
+/**
+ * Messages are framed, so they survive being split across chunks or glued together in one chunk,
+ * whatever their payload contains.
+ */
+
+const assert = require("assert");
+const ipcio = require("../ipcio");
+const {run, wait, connectRaw, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("framing");
+
+// Braces, line breaks and multi-byte characters, that used to break message boundaries.
+const TRICKY_TEXT = "}{ \"}{\" \n\r\n zażółć 😀 ";
+
+async function main() {
+  let collected = [];
+  let server = new ipcio.Server({path: SOCKET_PATH}, {
+    echo: (container) => container.data,
+    collect: (container) => {
+      collected.push(container.data);
+    },
+  });
+  let client = new ipcio.Client({path: SOCKET_PATH, name: "framing"}, {
+    echo: (container) => container.data,
+  });
+
+  await server.start();
+  await client.connect();
+
+  // Payload of hundreds of KB arrives in many chunks, both ways.
+  let payload = {text: TRICKY_TEXT.repeat(20000), list: [TRICKY_TEXT, {"}{": TRICKY_TEXT}]};
+
+  assert.deepStrictEqual(await client.deliver(null, "echo", payload), payload);
+  assert.deepStrictEqual(await server.deliver("framing", "echo", payload), payload);
+
+  // Frames split in the middle of multi-byte character, and glued with next frame, are reassembled.
+  let peer = await connectRaw(SOCKET_PATH);
+
+  peer.write({id: null, command: "handshake", data: {name: "raw", multiplex: true}});
+
+  let channel = (await peer.next("handshake")).data.uuid;
+  let frame = (data) => `${JSON.stringify({channel: channel, id: null, command: "collect", data: data})}\n`;
+  let bytes = Buffer.from(`${frame(`first ${TRICKY_TEXT}`)}not json\n${frame(`second ${TRICKY_TEXT}`)}`);
+  let boundaries = [
+    0,
+    bytes.indexOf("ż") + 1,
+    bytes.indexOf("not json") - 5,
+    bytes.indexOf("😀", bytes.indexOf("second")) + 2,
+    bytes.length,
+  ];
+
+  for (let index = 1; index < boundaries.length; index++) {
+    peer.socket.write(bytes.slice(boundaries[index - 1], boundaries[index]));
+    await wait(20);
+  }
+
+  await wait(100);
+
+  // Malformed frame does not take valid frames down with it.
+  assert.deepStrictEqual(collected, [`first ${TRICKY_TEXT}`, `second ${TRICKY_TEXT}`]);
+
+  peer.socket.destroy();
+  await client.disconnect();
+  await server.stop(500);
+}
+
+run(main, "Messages survive being split and glued across chunks.");
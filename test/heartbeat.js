@@ -0,0 +1,97 @@
+/**
+ * Peers, that keep their sockets open, but do not answer pings, are disconnected. Server releases such client,
+ * client reconnects to such server. Peers answering pings are kept.
+ */
+
+const assert = require("assert");
+const net = require("net");
+const ipcio = require("../ipcio");
+const {run, wait, once, connectRaw, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("heartbeat");
+const FAKE_SOCKET_PATH = socketPath("heartbeat_fake");
+const HEARTBEAT = {interval: 50, max_missed: 2};
+
+/**
+ * Starts server, that handshakes with multiplexed clients, but never answers their pings.
+ * @returns {Promise}  Promise for fake server, with number of connections made to it.
+ */
+function startHungServer() {
+  let fake = {connections: 0, pings: 0};
+
+  fake.server = net.createServer((socket) => {
+    let buffer = "";
+
+    fake.connections++;
+    socket.on("data", (chunk) => {
+      let lines = (buffer + chunk).split("\n");
+
+      buffer = lines.pop();
+      lines.filter((line) => line.length).map((line) => JSON.parse(line)).forEach((message) => {
+        if (message.command === "handshake") {
+          let data = {uuid: "channel", name: message.data.name, multiplex: true};
+
+          socket.write(`${JSON.stringify({id: message.data.name, command: "handshake", data: data})}\n`);
+        }
+        else if (message.command === "$ipcio:ping") {
+          fake.pings++;
+        }
+      });
+    });
+  });
+
+  return new Promise((resolve) => fake.server.listen(FAKE_SOCKET_PATH, () => resolve(fake)));
+}
+
+async function main() {
+  let server = new ipcio.Server({path: SOCKET_PATH, heartbeat: HEARTBEAT});
+  let timeouts = [];
+
+  server.on("heartbeat_timeout", (data) => timeouts.push(data.name));
+  await server.start();
+
+  // Client answers pings, even without heartbeat option of its own.
+  let alive = new ipcio.Client({path: SOCKET_PATH, name: "alive"});
+
+  await alive.connect();
+
+  // Raw peer reads pings, but never answers them.
+  let hung = await connectRaw(SOCKET_PATH);
+  let hung_closed = once(hung.socket, "close");
+
+  hung.write({id: null, command: "handshake", data: {name: "hung", multiplex: true}});
+  await hung.next("handshake");
+  await hung.next("$ipcio:ping");
+  await hung_closed;
+
+  await wait(HEARTBEAT.interval * (HEARTBEAT.max_missed + 2));
+  assert.deepStrictEqual(timeouts, ["hung"]);
+  assert.strictEqual(server.getStats().clients.hung, undefined);
+  assert.strictEqual(server.getStats().clients.alive.connected, true);
+
+  await alive.disconnect();
+  await server.stop(500);
+
+  // Client reconnects to server, that does not answer its pings.
+  let fake = await startHungServer();
+  let client = new ipcio.Client({
+    path: FAKE_SOCKET_PATH,
+    name: "pinging",
+    multiplex: true,
+    heartbeat: HEARTBEAT,
+    reconnect: {delay: 10, jitter: 0},
+  });
+  let timeout = once(client, "heartbeat_timeout");
+
+  await client.connect();
+  assert.deepStrictEqual(await timeout, {missed: HEARTBEAT.max_missed});
+  assert.strictEqual(fake.pings, HEARTBEAT.max_missed);
+
+  await wait(200);
+  assert.ok(fake.connections >= 2, "Client has not reconnected.");
+
+  await client.disconnect();
+  await new Promise((resolve) => fake.server.close(resolve));
+}
+
+run(main, "Heartbeat disconnects unresponsive peers.");
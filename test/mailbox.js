@@ -0,0 +1,104 @@
+/**
+ * Messages for named clients, that are offline, are buffered in mailboxes within limits, and written once client
+ * connects again. Expired messages and clients, that have been offline for too long, are forgotten.
+ */
+
+const assert = require("assert");
+const ipcio = require("../ipcio");
+const {run, wait, rejectionCode, connectRaw, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("mailbox");
+const TTL = 300;
+
+/**
+ * Returns client of given name, that records commands it receives.
+ * @param {string|undefined} name
+ * @param {Array} received
+ * @returns {module:ipcIO.IpcClient}
+ */
+function createClient(name, received = []) {
+  return new ipcio.Client({path: SOCKET_PATH, name: name}, {
+    note: (container) => {
+      received.push(`note ${container.data}`);
+    },
+    job: (container) => {
+      received.push(`job ${container.data}`);
+    },
+  });
+}
+
+async function main() {
+  let server = new ipcio.Server({path: SOCKET_PATH, mailbox: {ttl: TTL, max_messages: 2}});
+  let sender = createClient("sender");
+
+  await server.start();
+  await sender.connect();
+
+  // Client, that has never connected, has no mailbox.
+  assert.strictEqual(await rejectionCode(sender.emit("inbox", "note", 0)), ipcio.codes.E_RECIPIENT_UNKNOWN);
+
+  let received = [];
+  let inbox = createClient("inbox", received);
+
+  await inbox.connect();
+  await inbox.disconnect();
+
+  // The oldest message is dropped, when mailbox is full, even if server has been still closing client socket.
+  server.emit("inbox", "note", 1);
+  await sender.emit("inbox", "note", 2);
+  await sender.emit("inbox", "note", 3);
+  assert.strictEqual(server.getStats().mailbox_messages, 2);
+
+  inbox = createClient("inbox", received);
+  await inbox.connect();
+  await wait(100);
+  assert.deepStrictEqual(received, ["note 2", "note 3"]);
+
+  // Expired messages are dropped.
+  await inbox.disconnect();
+  await wait(100);
+  await sender.emit("inbox", "note", 4);
+  await wait(TTL + 50);
+  assert.strictEqual(server.getStats().mailbox_messages, 0);
+
+  // Client offline for longer than ttl is forgotten.
+  await wait(TTL * 2);
+  assert.strictEqual(await rejectionCode(sender.emit("inbox", "note", 5)), ipcio.codes.E_RECIPIENT_UNKNOWN);
+
+  // Client without name never gets the same one again, so it has no mailbox.
+  let anonymous = createClient(undefined);
+
+  await anonymous.connect();
+
+  let anonymous_name = anonymous.getStats().client_name;
+
+  await anonymous.disconnect();
+  await wait(100);
+  assert.strictEqual(await rejectionCode(sender.emit(anonymous_name, "note", 6)), ipcio.codes.E_RECIPIENT_UNKNOWN);
+
+  // Messages, that client has not acknowledged before it has gone, are buffered, but requests are rejected.
+  let worker = await connectRaw(SOCKET_PATH);
+
+  worker.write({id: null, command: "handshake", data: {name: "worker", multiplex: true, ack: true}});
+  await worker.next("handshake");
+
+  let delivery = rejectionCode(server.deliver("worker", "job", 7));
+
+  server.emit("worker", "note", 8);
+  await worker.next("note");
+  worker.socket.destroy();
+  assert.strictEqual(await delivery, ipcio.codes.E_PEER_DISCONNECTED);
+
+  let worker_received = [];
+  let restarted = createClient("worker", worker_received);
+
+  await restarted.connect();
+  await wait(100);
+  assert.deepStrictEqual(worker_received, ["note 8"]);
+
+  await restarted.disconnect();
+  await sender.disconnect();
+  await server.stop(500);
+}
+
+run(main, "Mailboxes buffer messages for offline clients within limits.");
@@ -0,0 +1,101 @@
+/**
+ * Multiplexed client carries its channel over handshake connection, so server opens no channel socket file for it.
+ * Traffic flows both ways, also between multiplexed clients and clients with channel of their own.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const ipcio = require("../ipcio");
+const {run, wait, connectRaw, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("multiplex");
+
+/**
+ * Returns names of channel socket files of server.
+ * @returns {string[]}
+ */
+function listChannelFiles() {
+  let prefix = `${path.basename(SOCKET_PATH)}.`;
+
+  return fs.readdirSync(path.dirname(SOCKET_PATH)).filter((file) => file.indexOf(prefix) === 0);
+}
+
+async function main() {
+  let received = [];
+  let server = new ipcio.Server({path: SOCKET_PATH}, {
+    echo: (container) => `${container.name}: ${container.data}`,
+  });
+
+  await server.start();
+
+  let createClient = (name, multiplex) => new ipcio.Client({path: SOCKET_PATH, name: name, multiplex: multiplex}, {
+    note: (container) => {
+      received.push(`${name} ${container.data}`);
+    },
+  });
+  let multiplexed = createClient("multiplexed", true);
+  let channeled = createClient("channeled", false);
+
+  await multiplexed.connect();
+  await channeled.connect();
+  assert.strictEqual(multiplexed._uniqueSocket, multiplexed._bcastSocket);
+  assert.notStrictEqual(channeled._uniqueSocket, channeled._bcastSocket);
+
+  assert.strictEqual(await multiplexed.deliver(null, "echo", 1), "multiplexed: 1");
+  assert.strictEqual(await channeled.deliver("multiplexed", "note", 2), null);
+  assert.strictEqual(await multiplexed.deliver("channeled", "note", 3), null);
+
+  await multiplexed.subscribe("news.*");
+  server.emit("multiplexed", "note", 4);
+  server.broadcast("note", 5);
+  server.publish("news.local", "note", 6);
+  await wait(100);
+  assert.deepStrictEqual(received.sort(), [
+    "channeled 3",
+    "channeled 5",
+    "multiplexed 2",
+    "multiplexed 4",
+    "multiplexed 5",
+    "multiplexed 6",
+  ]);
+
+  await multiplexed.disconnect();
+  await channeled.disconnect();
+
+  // Server listens on channel socket file, until client connects to it or leaves.
+  let raw_channeled = await connectRaw(SOCKET_PATH);
+
+  raw_channeled.write({id: null, command: "handshake", data: {name: "raw_channeled"}});
+  await raw_channeled.next("handshake");
+  assert.strictEqual(listChannelFiles().length, 1);
+  raw_channeled.socket.destroy();
+  await wait(100);
+  assert.deepStrictEqual(listChannelFiles(), []);
+  assert.strictEqual(server.getStats().clients.raw_channeled, undefined);
+
+  // Messages, that server writes to multiplexed channel, are tagged with its id.
+  let raw = await connectRaw(SOCKET_PATH);
+
+  raw.write({id: null, command: "handshake", data: {name: "raw", multiplex: true}});
+
+  let handshake = await raw.next("handshake");
+
+  assert.strictEqual(handshake.data.multiplex, true);
+  assert.deepStrictEqual(listChannelFiles(), []);
+
+  server.emit("raw", "note", 7);
+  server.broadcast("note", 8);
+
+  let frames = [await raw.next("note"), await raw.next("note")];
+
+  assert.deepStrictEqual(frames.map((frame) => [frame.data, frame.channel]), [
+    [7, handshake.data.uuid],
+    [8, handshake.data.uuid],
+  ]);
+
+  raw.socket.destroy();
+  await server.stop(500);
+}
+
+run(main, "Multiplexed clients talk over single connection.");
@@ -0,0 +1,162 @@
+/**
+ * Socket files are created in socket directory, accessible to their owner only until permissions are applied.
+ * Server, that can not apply permissions, or listen on client channel, fails cleanly. Abstract namespace sockets
+ * leave no files behind. Permissions are applied in worker threads too, that can not change umask.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const ipcio = require("../ipcio");
+const {run, wait, rejectionCode, connectRaw} = require("./support/helpers");
+
+/**
+ * Returns permission bits of file mode.
+ * @param {string} file_path
+ * @returns {number}
+ */
+function getMode(file_path) {
+  return fs.statSync(file_path).mode & 0o777;
+}
+
+/**
+ * Runs server in worker thread and resolves with mode of its socket file, once worker has stopped server and exited.
+ * @param {string} socket_path
+ * @returns {Promise}
+ */
+function getWorkerSocketMode(socket_path) {
+  let {Worker} = require("worker_threads");
+  let source = `
+    const fs = require("fs");
+    const {parentPort, workerData} = require("worker_threads");
+    const ipcio = require(workerData.module_path);
+    const server = new ipcio.Server({path: workerData.socket_path, permissions: {mode: 0o640}});
+
+    server.start().then(() => {
+      parentPort.postMessage(fs.statSync(workerData.socket_path).mode & 0o777);
+      return server.stop();
+    });
+  `;
+
+  return new Promise((resolve, reject) => {
+    let mode = null;
+
+    new Worker(source, {eval: true, workerData: {module_path: require.resolve("../ipcio"), socket_path: socket_path}})
+      .once("message", (message) => {
+        mode = message;
+      })
+      .once("error", reject)
+      .once("exit", () => resolve(mode));
+  });
+}
+
+async function main() {
+  let socket_dir = fs.mkdtempSync(path.join(os.tmpdir(), "ipcio_test_permissions_"));
+  let socket_path = path.join(socket_dir, `${path.basename(ipcio.socket_prefix)}.perm`);
+  let chown = fs.chownSync;
+  let modes_at_chown = [];
+  let chown_error = null;
+
+  // Records mode, that socket file has, before owner is changed, and fails on demand.
+  fs.chownSync = (file_path, uid, gid) => {
+    modes_at_chown.push(getMode(file_path));
+
+    if (chown_error !== null) {
+      throw chown_error;
+    }
+
+    return chown.call(fs, file_path, uid, gid);
+  };
+
+  let permissions = {mode: "660", group: process.getgid()};
+  let server = new ipcio.Server({domain: "perm", socket_dir: socket_dir, permissions: permissions});
+
+  await server.start();
+  assert.strictEqual(getMode(socket_path), 0o660);
+
+  // Channel socket file gets the same permissions.
+  let raw = await connectRaw(socket_path);
+
+  raw.write({id: null, command: "handshake", data: {name: "raw"}});
+
+  let handshake = await raw.next("handshake");
+
+  assert.strictEqual(getMode(`${socket_path}.${handshake.data.uuid}`), 0o660);
+  assert.deepStrictEqual(modes_at_chown, [0o600, 0o600]);
+  raw.socket.destroy();
+
+  let client = new ipcio.Client({domain: "perm", socket_dir: socket_dir, name: "client"});
+
+  await client.connect();
+  await client.disconnect();
+  await server.stop(500);
+
+  // Server, that can not apply permissions, does not start and leaves no socket file behind.
+  chown_error = Object.assign(new Error("EPERM: operation not permitted"), {code: "EPERM"});
+  assert.strictEqual(await rejectionCode(server.start()), "EPERM");
+  assert.strictEqual(server.isStarted(), false);
+  assert.strictEqual(fs.existsSync(socket_path), false);
+
+  chown_error = null;
+  await server.start();
+  await server.stop(500);
+  fs.chownSync = chown;
+
+  // Client is released, when server can not listen on its channel.
+  let channel_server = new ipcio.Server({domain: "channel", socket_dir: socket_dir});
+  let listen = net.Server.prototype.listen;
+  let channel_prefix = path.join(socket_dir, `${path.basename(ipcio.socket_prefix)}.channel.`);
+  let released = [];
+
+  channel_server.on("error", () => {});
+  channel_server.on("client_disconnected", (data) => released.push(data.name));
+  await channel_server.start();
+
+  net.Server.prototype.listen = function (address) {
+    if (address !== null && typeof address === "object" && String(address.path).indexOf(channel_prefix) === 0) {
+      process.nextTick(() => this.emit("error", Object.assign(new Error("listen EADDRINUSE"), {code: "EADDRINUSE"})));
+
+      return this;
+    }
+
+    return listen.apply(this, arguments);
+  };
+
+  let unlucky = new ipcio.Client({domain: "channel", socket_dir: socket_dir, name: "unlucky", reconnect: false});
+
+  await assert.rejects(unlucky.connect());
+  net.Server.prototype.listen = listen;
+  await wait(100);
+  assert.deepStrictEqual(released, ["unlucky"]);
+  assert.strictEqual(channel_server.getStats().clients.unlucky, undefined);
+  await channel_server.stop(500);
+
+  // Abstract namespace sockets leave no files behind.
+  if (process.platform === "linux" && Number(process.versions.node.split(".")[0]) >= 20) {
+    let abstract_server = new ipcio.Server({domain: "abstract", socket_dir: socket_dir, abstract: true}, {
+      echo: (container) => container.data,
+    });
+    let abstract_client = new ipcio.Client({domain: "abstract", socket_dir: socket_dir, abstract: true});
+
+    await abstract_server.start();
+    await abstract_client.connect();
+    assert.strictEqual(await abstract_client.deliver(null, "echo", "hello"), "hello");
+    assert.deepStrictEqual(fs.readdirSync(socket_dir), []);
+    await abstract_client.disconnect();
+    await abstract_server.stop(500);
+  }
+  else {
+    assert.throws(() => new ipcio.Server({abstract: true}), /Linux only|Node\.js 20 or later/);
+  }
+
+  // Node.js 10 has worker threads behind flag.
+  if (require("module").builtinModules.includes("worker_threads")) {
+    assert.strictEqual(await getWorkerSocketMode(path.join(socket_dir, "worker.sock")), 0o640);
+  }
+
+  fs.rmdirSync(socket_dir);
+}
+
+run(main, "Socket files are created with permissions.");
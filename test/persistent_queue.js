@@ -0,0 +1,173 @@
+/**
+ * Messages queued by client, that has not reached server, survive restart of client process, are sent in order
+ * by restarted client, and are removed from queue file once server acknowledges them.
+ * Queue file is compacted, when it mostly consists of acknowledged messages.
+ */
+
+const assert = require("assert");
+const child_process = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const ipcio = require("../ipcio");
+const {run, wait, rejectionCode, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("persistent_queue");
+const FAKE_SOCKET_PATH = socketPath("persistent_queue_fake");
+
+/**
+ * Returns client, that keeps its queue in given directory.
+ * @param {string} dir
+ * @param {object} options  Additional client options.
+ * @returns {module:ipcIO.IpcClient}
+ */
+function createProducer(dir, options = {}) {
+  return new ipcio.Client(Object.assign({
+    path: SOCKET_PATH,
+    name: "producer/1",
+    persistent_queue: {dir: dir},
+  }, options));
+}
+
+/**
+ * Waits until given condition is met.
+ * @param {function} condition
+ * @returns {Promise}
+ */
+async function until(condition) {
+  while (!condition()) {
+    await wait(20);
+  }
+}
+
+/**
+ * Runs in child process: queues messages while server is down, and exits before they are sent.
+ * @param {string} dir  Queue directory.
+ */
+async function produce(dir) {
+  let producer = createProducer(dir);
+
+  [1, 2, 3].forEach((index) => producer.send("job", index));
+  producer.emit("consumer", "job", 4);
+
+  await until(() => fs.readdirSync(dir).some((file) => fs.readFileSync(path.join(dir, file), "utf8")
+    .split("\n")
+    .filter((line) => line.length).length === 4));
+
+  process.exit(0);
+}
+
+/**
+ * Starts server, that multiplexes client and acknowledges messages only when asked to.
+ * @returns {Promise}  Promise for fake server, with received message ids and ack(msg_id) function.
+ */
+function startFakeServer() {
+  let fake = {msg_ids: []};
+
+  fake.server = net.createServer((socket) => {
+    let buffer = "";
+
+    fake.ack = (msg_id) => socket.write(`${JSON.stringify({id: null, command: "$ipcio:ack", data: msg_id})}\n`);
+
+    socket.on("data", (chunk) => {
+      let lines = (buffer + chunk).split("\n");
+
+      buffer = lines.pop();
+      lines.filter((line) => line.length).map((line) => JSON.parse(line)).forEach((message) => {
+        if (message.command === "handshake") {
+          let data = {uuid: "channel", name: message.data.name, multiplex: true, ack: true};
+
+          socket.write(`${JSON.stringify({id: message.data.name, command: "handshake", data: data})}\n`);
+        }
+        else if (message.msg_id) {
+          fake.msg_ids.push(message.msg_id);
+        }
+      });
+    });
+  });
+
+  return new Promise((resolve) => fake.server.listen(FAKE_SOCKET_PATH, () => resolve(fake)));
+}
+
+async function main() {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), "ipcio_test_queue_"));
+  let child = child_process.spawnSync(process.execPath, [__filename, dir], {stdio: "inherit", timeout: 5000});
+
+  assert.strictEqual(child.status, 0);
+
+  let files = fs.readdirSync(dir);
+
+  // Name is encoded, so it does not escape queue directory.
+  assert.deepStrictEqual(files, ["IPC.io.default.producer%2F1.queue"]);
+
+  let server_got = [];
+  let consumer_got = [];
+  let server = new ipcio.Server({path: SOCKET_PATH}, {
+    job: (container) => {
+      server_got.push(container.data);
+    },
+  });
+  let consumer = new ipcio.Client({path: SOCKET_PATH, name: "consumer"}, {
+    job: (container) => {
+      consumer_got.push(container.data);
+    },
+  });
+
+  await server.start();
+  await consumer.connect();
+
+  let producer = createProducer(dir);
+
+  await producer.connect();
+  await until(() => server_got.length === 3 && consumer_got.length === 1);
+
+  assert.deepStrictEqual(server_got, [1, 2, 3]);
+  assert.deepStrictEqual(consumer_got, [4]);
+
+  // Acknowledged messages are removed from queue file.
+  await producer.send("job", 5);
+  await until(() => fs.statSync(path.join(dir, files[0])).size === 0);
+
+  // Message, that does not fit in queue file, is rejected.
+  let limited = createProducer(dir, {name: "limited", persistent_queue: {dir: dir, max_bytes: 100}});
+
+  assert.strictEqual(await rejectionCode(limited.send("job", "x".repeat(200))), ipcio.codes.E_QUEUE_FULL);
+
+  // All messages but the last one are acknowledged, so queue file is compacted down to it.
+  let fake = await startFakeServer();
+  let compacted = createProducer(dir, {name: "compacted", path: FAKE_SOCKET_PATH});
+  let compacted_file = path.join(dir, "IPC.io.default.compacted.queue");
+
+  for (let index = 0; index < 1000; index++) {
+    compacted.send("job", `${index} ${"x".repeat(100)}`);
+  }
+
+  await compacted.connect();
+  await until(() => fake.msg_ids.length === 1000);
+  fake.msg_ids.slice(0, -1).forEach(fake.ack);
+  await until(() => compacted.getStats().unacked_length === 1);
+  await wait(100);
+
+  let lines = fs.readFileSync(compacted_file, "utf8").split("\n").filter((line) => line.length);
+
+  assert.ok(lines.length < 100, `Queue file has ${lines.length} lines.`);
+  assert.ok(lines.some((line) => line.indexOf("999 x") > -1));
+
+  await compacted.disconnect();
+  fake.server.close();
+
+  await producer.disconnect();
+  await consumer.disconnect();
+  await server.stop(500);
+
+  fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+  fs.rmdirSync(dir);
+}
+
+if (process.argv[2] !== undefined) {
+  produce(process.argv[2]);
+}
+else {
+  run(main, "Persistent queue survives client restart.");
+}
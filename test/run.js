@@ -0,0 +1,35 @@
+/**
+ * Runs every test file of this directory in its own process, one after another.
+ * Each test file exits with non-zero code, when it fails.
+ */
+
+const child_process = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const TEST_TIMEOUT = 30000;
+
+let files = fs.readdirSync(__dirname)
+  .filter((file) => path.extname(file) === ".js" && file !== path.basename(__filename))
+  .sort()
+;
+let failed = files.filter((file) => {
+  let result = child_process.spawnSync(process.execPath, [path.join(__dirname, file)], {
+    stdio: "inherit",
+    timeout: TEST_TIMEOUT,
+  });
+
+  if (result.status !== 0) {
+    console.error(`FAILED ${file}`);
+
+    return true;
+  }
+
+  return false;
+});
+
+console.log(`${files.length - failed.length} of ${files.length} test files passed.`);
+
+if (failed.length) {
+  process.exit(1);
+}
@@ -0,0 +1,58 @@
+/**
+ * Client, that handshakes again with its session token, while server still holds its previous socket,
+ * resumes its session. Late close of replaced socket does not suspend resumed session again.
+ * Session token handshaken under another name is rejected.
+ */
+
+const assert = require("assert");
+const ipcio = require("../ipcio");
+const {run, wait, once, connectRaw, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("session_resume");
+
+async function main() {
+  let server = new ipcio.Server({path: SOCKET_PATH, session_grace: 2000});
+  let client = new ipcio.Client({path: SOCKET_PATH, name: "worker", reconnect: false});
+
+  await server.start();
+  await client.connect();
+
+  // Handshake comes from another connection, as if client has reconnected before server noticed dead socket.
+  let peer = await connectRaw(SOCKET_PATH);
+  let resumed = once(server, "client_resumed");
+
+  peer.write({id: null, command: "handshake", data: {name: "worker", session: client._session}});
+
+  let handshake = await peer.next("handshake");
+
+  assert.strictEqual(handshake.data.resumed, true);
+  assert.strictEqual(handshake.data.name, "worker");
+
+  let channel = await connectRaw(`${SOCKET_PATH}.${handshake.data.uuid}`);
+
+  assert.strictEqual((await resumed).name, "worker");
+
+  // Previous socket has closed by now, session stays resumed.
+  await wait(100);
+  server.emit("worker", "hello", 1);
+
+  let message = await channel.next("hello");
+
+  assert.strictEqual(message.data, 1);
+  assert.strictEqual(server.getStats().connected_clients, 1);
+  assert.strictEqual(server.getStats().clients.worker.connected, true);
+
+  let intruder = await connectRaw(SOCKET_PATH);
+
+  intruder.write({id: null, command: "handshake", data: {name: "intruder", session: handshake.data.session}});
+
+  assert.strictEqual((await intruder.next("error")).data, ipcio.codes.E_AUTH_FAILED);
+  assert.strictEqual(server.getStats().clients.worker.connected, true);
+  assert.strictEqual(server.getStats().clients.intruder, undefined);
+
+  channel.socket.destroy();
+  peer.socket.destroy();
+  await server.stop(500);
+}
+
+run(main, "Session is resumed while server holds previous socket, by its owner only.");
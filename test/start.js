@@ -0,0 +1,61 @@
+/**
+ * Server claims domain socket before it listens: stale socket file is removed, while socket of server, that is alive,
+ * is left untouched and domain is refused. Server, that is started or starting, can not be started again,
+ * and server, that is not started yet, can not be stopped.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const {execFileSync} = require("child_process");
+const ipcio = require("../ipcio");
+const {run, rejectionCode, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("start");
+
+async function main() {
+
+  // Process, that exits without closing its server, leaves stale socket file behind.
+  execFileSync(process.execPath, ["-e", `require("net").createServer().listen(${JSON.stringify(SOCKET_PATH)}, () => {
+    process.exit(0);
+  });`]);
+  assert.strictEqual(fs.statSync(SOCKET_PATH).isSocket(), true);
+
+  let server = new ipcio.Server({path: SOCKET_PATH}, {
+    echo: (container) => container.data,
+  });
+
+  await assert.rejects(server.stop(), /has not started/);
+
+  let starting = server.start();
+
+  await assert.rejects(server.start(), /has already started/);
+  await assert.rejects(server.stop(), /still starting/);
+  await starting;
+  await assert.rejects(server.start(), /has already started/);
+
+  // Second server of domain is refused, and first one keeps serving its clients.
+  let rival = new ipcio.Server({path: SOCKET_PATH});
+
+  assert.strictEqual(await rejectionCode(rival.start()), ipcio.codes.E_DOMAIN_TAKEN);
+  assert.strictEqual(rival.isStarted(), false);
+
+  let client = new ipcio.Client({path: SOCKET_PATH});
+
+  await client.connect();
+  assert.strictEqual(await client.deliver(null, "echo", "still here"), "still here");
+  await client.disconnect();
+  await server.stop(500);
+  assert.strictEqual(fs.existsSync(SOCKET_PATH), false);
+
+  // Refused server may start, once domain is free.
+  await rival.start();
+  await rival.stop(500);
+
+  // File, that is not a socket, is never removed.
+  fs.writeFileSync(SOCKET_PATH, "data");
+  await assert.rejects(rival.start(), /not a socket/);
+  assert.strictEqual(fs.readFileSync(SOCKET_PATH, "utf8"), "data");
+  fs.unlinkSync(SOCKET_PATH);
+}
+
+run(main, "Server claims domain socket on start.");
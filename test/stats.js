@@ -0,0 +1,102 @@
+/**
+ * Server and client count messages, bytes and handler durations by command, and report their gauges.
+ * Stats of both are formatted in Prometheus text exposition format, with label values escaped.
+ */
+
+const assert = require("assert");
+const ipcio = require("../ipcio");
+const {run, wait, socketPath} = require("./support/helpers");
+
+const SOCKET_PATH = socketPath("stats");
+const CLIENT_NAME = 'worker "1"';
+
+async function main() {
+  let server = new ipcio.Server({path: SOCKET_PATH, domain: "metrics"}, {
+    work: () => {},
+  });
+
+  assert.strictEqual(server.getStats().uptime, 0);
+  await server.start();
+
+  let client = new ipcio.Client({path: SOCKET_PATH, domain: "metrics", name: CLIENT_NAME}, {
+    report: () => {},
+  });
+
+  assert.strictEqual(client.getStats().connected, false);
+  await client.connect();
+
+  for (let i = 0; i < 3; i++) {
+    await client.send("work", i);
+  }
+
+  server.emit(CLIENT_NAME, "report", "done");
+  await wait(100);
+
+  let server_stats = server.getStats();
+
+  assert.strictEqual(server_stats.domain, "metrics");
+  assert.ok(server_stats.uptime > 0);
+  assert.strictEqual(server_stats.messages_in.work, 3);
+  assert.ok(server_stats.bytes_in.work > 0);
+  assert.strictEqual(server_stats.messages_out.report, 1);
+  assert.strictEqual(server_stats.handler_duration.work.count, 3);
+  assert.strictEqual(server_stats.handler_duration.work.buckets["+Inf"], 3);
+  assert.strictEqual(server_stats.connected_clients, 1);
+  assert.strictEqual(server_stats.suspended_clients, 0);
+  assert.strictEqual(server_stats.pending_deliveries, 0);
+  assert.strictEqual(server_stats.clients[CLIENT_NAME].connected, true);
+  assert.strictEqual(server_stats.clients[CLIENT_NAME].pending_bytes, 0);
+
+  let client_stats = client.getStats();
+
+  assert.strictEqual(client_stats.client_name, CLIENT_NAME);
+  assert.strictEqual(client_stats.connected, true);
+  assert.strictEqual(client_stats.messages_out.work, 3);
+  assert.strictEqual(client_stats.messages_in.report, 1);
+  assert.strictEqual(client_stats.handler_duration.report.count, 1);
+  assert.strictEqual(client_stats.queue_length, 0);
+  assert.strictEqual(client_stats.unacked_length, 0);
+  assert.strictEqual(client_stats.pending_bytes, 0);
+  assert.strictEqual(client_stats.pending_deliveries, 0);
+
+  // Stats are snapshots, they are not changed by caller.
+  client_stats.messages_out.work = 0;
+  assert.strictEqual(client.getStats().messages_out.work, 3);
+
+  let server_metrics = ipcio.formatPrometheus(server_stats).split("\n");
+
+  assert.ok(server_metrics.includes("# TYPE ipcio_messages_total counter"));
+  assert.ok(server_metrics.includes('ipcio_messages_total{domain="metrics",direction="in",command="work"} 3'));
+  assert.ok(server_metrics.includes("# TYPE ipcio_handler_duration_ms histogram"));
+  assert.ok(server_metrics.includes('ipcio_handler_duration_ms_bucket{domain="metrics",command="work",le="+Inf"} 3'));
+  assert.ok(server_metrics.includes('ipcio_handler_duration_ms_count{domain="metrics",command="work"} 3'));
+  assert.ok(server_metrics.includes('ipcio_connected_clients{domain="metrics"} 1'));
+  assert.ok(server_metrics.includes('ipcio_client_connected{domain="metrics",client="worker \\"1\\""} 1'));
+
+  // Every sample follows description of its metric.
+  let described = [];
+
+  server_metrics.filter((line) => line.length).forEach((line) => {
+    let match = /^# TYPE (\S+) /.exec(line);
+
+    if (match !== null) {
+      described.push(match[1]);
+    }
+    else if (!line.startsWith("#")) {
+      let name = line.split("{")[0].replace(/_(bucket|sum|count)$/, "");
+
+      assert.strictEqual(name, described[described.length - 1], `Sample is not grouped: ${line}`);
+    }
+  });
+
+  let client_metrics = ipcio.formatPrometheus(client_stats, "app").split("\n");
+
+  assert.ok(client_metrics.includes('app_connected{domain="metrics",client="worker \\"1\\""} 1'));
+  assert.ok(client_metrics.includes("# TYPE app_reconnects_total counter"));
+  assert.ok(client_metrics.every((line) => !line.startsWith("ipcio_")));
+
+  await client.disconnect();
+  await server.stop(500);
+}
+
+run(main, "Stats are counted and formatted for Prometheus.");
@@ -0,0 +1,148 @@
+/**
+ * Helpers shared by test files.
+ */
+
+const assert = require("assert");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Fails test, that has not finished within given time.
+ * @param {number} timeout  Time in ms.
+ * @returns {Timeout}       Timer, that test clears once it has finished.
+ */
+function guard(timeout = 10000) {
+  let timer = setTimeout(() => {
+    console.error("Test has timed out.");
+    process.exit(1);
+  }, timeout);
+
+  timer.unref();
+
+  return timer;
+}
+
+/**
+ * Runs test, that fails when it rejects or does not finish within given time.
+ * @param {function} main       Async function running the test.
+ * @param {string} description  Printed once test passes.
+ * @param {number} timeout      Time in ms.
+ */
+function run(main, description, timeout = 10000) {
+  let timer = guard(timeout);
+
+  main()
+    .then(() => {
+      clearTimeout(timer);
+      console.log(description);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    })
+  ;
+}
+
+/**
+ * Returns path of socket file unique for test file and its process.
+ * @param {string} name Name of test.
+ * @returns {string}
+ */
+function socketPath(name) {
+  return path.join(os.tmpdir(), `ipcio_test_${name}_${process.pid}.sock`);
+}
+
+/**
+ * Returns promise fulfilled after given time.
+ * @param {number} ms Time in ms.
+ * @returns {Promise}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns promise fulfilled with arguments of first given event emitted.
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise}
+ */
+function once(emitter, event) {
+  return new Promise((resolve) => emitter.once(event, (...args) => resolve(args.length > 1 ? args : args[0])));
+}
+
+/**
+ * Returns promise settled with code of error, that given promise is rejected with.
+ * @param {Promise} promise
+ * @returns {Promise}
+ */
+function rejectionCode(promise) {
+  return promise.then(
+    (result) => assert.fail(`Promise was fulfilled with ${JSON.stringify(result)}.`),
+    (error) => error.code
+  );
+}
+
+/**
+ * Connects plain socket, that speaks ipcIO protocol by hand, e.g. to act like misbehaving peer.
+ * @param {string|object} address Socket file path, or host and port.
+ * @returns {Promise}             Promise for peer: socket, received frames, write(message) and next(command).
+ */
+function connectRaw(address) {
+  let socket = net.connect(address);
+  let buffer = "";
+  let frames = [];
+  let waiting = [];
+
+  let peer = {
+    socket: socket,
+    frames: frames,
+    write: (message) => socket.write(`${JSON.stringify(message)}\n`),
+
+    // Resolves with first received frame of given command, that has not been taken yet.
+    next: (command) => new Promise((resolve) => {
+      waiting.push({command: command, resolve: resolve});
+      dispatch();
+    }),
+  };
+
+  function dispatch() {
+    waiting = waiting.filter((entry) => {
+      let index = frames.findIndex((frame) => !frame._taken && frame.command === entry.command);
+
+      if (index === -1) {
+        return true;
+      }
+
+      frames[index]._taken = true;
+      entry.resolve(frames[index]);
+
+      return false;
+    });
+  }
+
+  socket.on("data", (chunk) => {
+    let lines = (buffer + chunk).split("\n");
+
+    buffer = lines.pop();
+    lines.filter((line) => line.length).forEach((line) => frames.push(JSON.parse(line)));
+    dispatch();
+  });
+  socket.on("error", () => {});
+
+  return new Promise((resolve, reject) => {
+    socket.once("connect", () => resolve(peer));
+    socket.once("error", reject);
+  });
+}
+
+module.exports = {
+  guard: guard,
+  run: run,
+  socketPath: socketPath,
+  wait: wait,
+  once: once,
+  rejectionCode: rejectionCode,
+  connectRaw: connectRaw,
+};
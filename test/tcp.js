@@ -0,0 +1,97 @@
+/**
+ * Server and clients talk over "tcp" transport, with private channel on ephemeral port or multiplexed.
+ * Command-line tool connects to such server with port option.
+ */
+
+const assert = require("assert");
+const net = require("net");
+const path = require("path");
+const {execFile} = require("child_process");
+const ipcio = require("../ipcio");
+const {run, wait} = require("./support/helpers");
+
+const CLI_PATH = path.join(__dirname, "..", "bin", "ipcio.js");
+const HOST = "127.0.0.1";
+
+/**
+ * Returns promise for port, that is free at the moment.
+ * @returns {Promise}
+ */
+function getFreePort() {
+  return new Promise((resolve) => {
+    let probe = net.createServer().listen(0, HOST, () => {
+      let port = probe.address().port;
+
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function main() {
+  assert.throws(() => new ipcio.Server({transport: "tcp"}), /"port" is required/);
+  assert.throws(() => new ipcio.Client({transport: "udp"}), /Unknown transport "udp"/);
+
+  let port = await getFreePort();
+  let options = {domain: "tcp", transport: "tcp", host: HOST, port: port};
+  let received = [];
+  let listening = null;
+
+  let server = new ipcio.Server(options, {
+    echo: (container) => `${container.name}: ${container.data}`,
+  });
+
+  server.on("listening", (data) => {
+    listening = data;
+  });
+  await server.start();
+  assert.deepStrictEqual(listening, {domain: "tcp", host: HOST, port: port});
+
+  let createClient = (name, multiplex) => new ipcio.Client(Object.assign({name: name, multiplex: multiplex}, options), {
+    note: (container) => {
+      received.push(`${name} ${container.data}`);
+    },
+  });
+  let channeled = createClient("channeled", false);
+  let multiplexed = createClient("multiplexed", true);
+
+  await channeled.connect();
+  await multiplexed.connect();
+
+  // Private channel listens on ephemeral port of its own.
+  let channel_port = channeled._uniqueSocket.remotePort;
+
+  assert.notStrictEqual(channel_port, port);
+  assert.strictEqual(multiplexed._uniqueSocket.remotePort, port);
+
+  assert.strictEqual(await channeled.deliver(null, "echo", 1), "channeled: 1");
+  assert.strictEqual(await multiplexed.deliver(null, "echo", 2), "multiplexed: 2");
+
+  server.emit("channeled", "note", "from server");
+  await multiplexed.emit("channeled", "note", "from peer");
+  await channeled.emit("multiplexed", "note", "from peer");
+  await wait(100);
+  assert.deepStrictEqual(received.sort(), [
+    "channeled from peer",
+    "channeled from server",
+    "multiplexed from peer",
+  ]);
+
+  let stdout = await new Promise((resolve, reject) => {
+    let args = [CLI_PATH, "deliver", "tcp", "echo", "3", "--name", "cli", "--port", String(port), "--host", HOST];
+
+    execFile(process.execPath, args, {timeout: 10000}, (error, out) => (error ? reject(error) : resolve(out)));
+  });
+
+  assert.strictEqual(JSON.parse(stdout), "cli: 3");
+
+  await channeled.disconnect();
+  await multiplexed.disconnect();
+  await server.stop(500);
+
+  // Channel port is closed along with client.
+  await assert.rejects(new Promise((resolve, reject) => {
+    net.connect(channel_port, HOST).on("connect", resolve).on("error", reject);
+  }), {code: "ECONNREFUSED"});
+}
+
+run(main, "Clients talk to server over tcp transport.");